@@ -1,134 +1,332 @@
 const fs = require('fs');
 const path = require('path');
+const { loadComponents, loadCoreManifest, findRootElement } = require('./lib/components');
+const { fillSlots, printSlotReport } = require('./lib/slots');
+const { createRenderer } = require('./lib/templates');
+const { loadPages, selectComponents } = require('./lib/pages');
+const { loadContent } = require('./lib/content');
+const { watch } = require('./lib/watcher');
+const { createDevServer } = require('./lib/dev-server');
+const { createNominationStub } = require('./lib/nomination-stub');
+const { gateScripts } = require('./lib/consent');
+const { injectThemeBootstrap, checkThemeContrast, printContrastReport } = require('./lib/themes');
+const { checkTimeline } = require('./lib/timeline');
+const { auditPages, printAuditReport } = require('./lib/audit');
+const { basePathOf, createUrlResolver, resolveUrls } = require('./lib/urls');
+const { siteBaseUrl, sitemapXml, robotsTxt, eventJsonLd, injectJsonLd, missingEventProperties } = require('./lib/seo');
+const { collectPrecache, serviceWorkerSource, webAppManifest, writeAppIcons } = require('./lib/offline');
+const { loadVendor, fetchVendor, resolveVendored, fontFaceRules, findIconClasses, copyVendored } = require('./lib/vendor');
+const { minifyCSS, minifyJS, minifyHTML } = require('./lib/minify');
+const { scopeCSS, checkCustomProperties, printTokenReport } = require('./lib/css');
+const { bundleModules, COMPONENTS_MODULE } = require('./lib/bundler');
+const { createConcatenation, remapMinified, sourceMappingComment, SOURCE_MAPPING_PATTERN } = require('./lib/sourcemap');
+const { fingerprintFiles, readAssetManifest, rewriteBundleUrls } = require('./lib/fingerprint');
 
 // Configuration
 const config = {
   componentsDir: './components',
-  coreStylesDir: './core/styles',
-  coreScriptsDir: './core/scripts',
+  coreDir: './core',
   buildDir: './build',
-  templateFile: './index-template.html'
+  pagesDir: './pages',
+  contentDir: './content',
+  layoutsDir: './layouts',
+  templateFile: './index-template.html',
+  // Self-hosted third-party files: manifest.json, lock.json and the downloads
+  vendorDir: './vendor',
+  // Design tokens every component stylesheet draws its custom properties from
+  tokensFile: './core/styles/variables.css',
+  assetManifestFile: 'asset-manifest.json',
+  // Written to the build directory by --audit
+  auditReportFile: 'audit-report.json',
+  // Bundles that get content-hashed filenames in production
+  hashedAssets: ['styles.css', 'scripts.js'],
+  // Offline support: the app icons are made from the logo
+  serviceWorkerFile: 'sw.js',
+  webManifestFile: 'manifest.webmanifest',
+  offlinePage: 'offline.html',
+  logoFile: './core/assets/images/logo.png',
+  cachePrefix: 'cyberux-',
+  // For search engines; settings are in content/seo.json
+  sitemapFile: 'sitemap.xml',
+  robotsFile: 'robots.txt'
 };
 
+// Command line options
+const args = process.argv.slice(2);
+const options = {
+  // Fail the build on empty slots, uninjected components, undefined design tokens,
+  // low contrast, audit warnings or external files without an integrity hash
+  strict: args.includes('--strict'),
+  // Check the generated pages for markup and accessibility errors
+  audit: args.includes('--audit'),
+  // Download the libraries in vendor/manifest.json before building
+  vendor: args.includes('--vendor'),
+  // Rebuild affected outputs when sources change
+  watch: args.includes('--watch'),
+  // Serve the build directory with live reload
+  serve: args.includes('--serve'),
+  // Minify output and fingerprint styles.css/scripts.js for cache-busting
+  production: args.includes('--production'),
+  port: Number((args.find(arg => arg.startsWith('--port=')) || '--port=3000').split('=')[1])
+};
+
+// Outputs that can be rebuilt independently
+const BUILD_TARGETS = ['html', 'css', 'js', 'assets'];
+
 // Create build directory if it doesn't exist
 if (!fs.existsSync(config.buildDir)) {
   fs.mkdirSync(config.buildDir, { recursive: true });
 }
 
+// Resolve an @include/@each target to a file: relative .html paths are taken from
+// the including file, anything else names a component
+function createIncludeResolver(components) {
+  return (target, fromFile) => {
+    if (target.endsWith('.html')) {
+      return path.resolve(path.dirname(fromFile), target);
+    }
+    
+    const component = components.find(c => c.name === target || c.folder === target);
+    return component ? component.html : null;
+  };
+}
+
+// Render one page: its layout, its components and its own content
+function buildPage(page, components, content, vendor) {
+  const render = createRenderer({
+    data: { site: content.site || {}, content, page: page.data },
+    resolveInclude: createIncludeResolver(components)
+  });
+  
+  // Read and render the page layout
+  if (!fs.existsSync(page.layout)) {
+    throw new Error(`Layout not found for page "${page.name}": ${page.layout}`);
+  }
+  const template = render(fs.readFileSync(page.layout, 'utf8'), page.layout);
+  
+  // Page content fills the layout's <!-- CONTENT --> slot like a component
+  const pageComponents = selectComponents(page, components);
+  if (page.content) {
+    pageComponents.push({ name: `${page.name} content`, slot: 'CONTENT', html: page.content });
+  }
+  
+  // Render each component and inject it into its slot
+  const { html, report } = fillSlots(template, pageComponents, component => {
+    return render(fs.readFileSync(component.html, 'utf8'), component.html);
+  });
+  
+  // Report slots left empty and components that were never injected
+  const hasProblems = printSlotReport(report);
+  if (hasProblems && options.strict) {
+    throw new Error(`Unfilled slots or uninjected components in page "${page.name}" (--strict)`);
+  }
+  
+  // Tracking scripts only run once their consent category is granted
+  const gated = gateScripts(html, content.consent || {}, page.output);
+  
+  // The saved colour theme is applied before the stylesheet renders
+  const themed = content.themes ? injectThemeBootstrap(gated.html, content.themes, page.output) : gated.html;
+  
+  // The home page describes the awards as a schema.org Event
+  const event = page.data.output === 'index.html' ? eventJsonLd({ site: content.site || {}, seo: content.seo || {}, timeline: content.timeline }) : null;
+  if (event) checkEvent(event);
+  const described = event ? injectJsonLd(themed, event) : themed;
+  
+  // Third-party files load from the build's vendor/ directory
+  const { html: output, unresolved } = resolveVendored(described, vendor, 'vendor');
+  
+  fs.writeFileSync(path.join(config.buildDir, page.output), output);
+  return unresolved;
+}
+
 // Read component HTML files
-function buildHTML() {
+function buildHTML(components) {
   console.log('Building HTML...');
   
-  // Read template
-  let template = fs.readFileSync(config.templateFile, 'utf8');
+  // Structured content (site.json, judges.json, faq.yaml, ...) is shared by every page
+  const content = loadContent(config.contentDir);
+  content.site = siteSettings(content.site || {});
+  const pages = loadPages(config.pagesDir, content.site || {});
+  if (content.timeline) checkTimeline(content.timeline);
+  const vendor = loadVendor(config.vendorDir);
+  const unresolved = new Set();
   
-  // Get all component directories
-  const componentDirs = fs.readdirSync(config.componentsDir, { withFileTypes: true })
-    .filter(dirent => dirent.isDirectory())
-    .map(dirent => dirent.name);
+  // Write one HTML file per page
+  pages.forEach(page => {
+    console.log(`  ${page.output}`);
+    buildPage(page, components, content, vendor).forEach(url => unresolved.add(url));
+  });
   
-  // Process each component
-  componentDirs.forEach(componentName => {
-    const htmlFile = path.join(config.componentsDir, componentName, `${componentName.toLowerCase()}.html`);
-    
-    if (fs.existsSync(htmlFile)) {
-      const componentHtml = fs.readFileSync(htmlFile, 'utf8');
-      const placeholder = `<!-- ${componentName.toUpperCase()} -->`;
-      
-      template = template.replace(placeholder, componentHtml);
-    }
+  // External files that are neither vendored nor pinned with an integrity hash
+  unresolved.forEach(url => {
+    console.warn(`  Warning: ${url} is not vendored and has no integrity hash (run node build.js --vendor)`);
   });
+  if (unresolved.size > 0 && options.strict) {
+    throw new Error('External files are not vendored or pinned with an integrity hash (--strict)');
+  }
+  
+  // Sitemap of the indexable pages, and robots.txt pointing at it
+  const baseUrl = siteBaseUrl(content.site || {});
+  fs.writeFileSync(path.join(config.buildDir, config.sitemapFile), sitemapXml(pages));
+  fs.writeFileSync(path.join(config.buildDir, config.robotsFile), robotsTxt(baseUrl, content.seo || {}, config.sitemapFile));
   
-  // Write final HTML
-  fs.writeFileSync(path.join(config.buildDir, 'index.html'), template);
   console.log('HTML build complete.');
 }
 
+// Write a concatenated bundle and its source map
+function writeBundle(file, bundle) {
+  const mapFile = `${file}.map`;
+  const comment = sourceMappingComment(file, path.basename(mapFile));
+  
+  fs.writeFileSync(file, `${bundle.code()}${comment}\n`);
+  fs.writeFileSync(mapFile, JSON.stringify(bundle.map()));
+}
+
 // Concatenate CSS files
-function buildCSS() {
+function buildCSS(components, core) {
   console.log('Building CSS...');
   
-  let combinedCSS = '';
+  const outputFile = path.join(config.buildDir, 'styles.css');
+  const bundle = createConcatenation(outputFile);
+  const stylesheets = [];
   
-  // Core styles
-  const coreStyles = [
-    'variables.css',
-    'reset.css',
-    'typography.css',
-    'layout.css',
-    'utilities.css'
-  ];
+  // Self-hosted fonts come first, from the build's vendor/ directory
+  const fontFaces = fontFaceRules(loadVendor(config.vendorDir), 'vendor');
+  if (fontFaces) {
+    bundle.addGenerated(`/* Self-hosted fonts (vendor/lock.json) */\n${fontFaces}\n`);
+  }
   
   // Add core styles first
-  coreStyles.forEach(file => {
-    const filePath = path.join(config.coreStylesDir, file);
-    if (fs.existsSync(filePath)) {
-      combinedCSS += fs.readFileSync(filePath, 'utf8') + '\n';
+  core.styles.forEach(filePath => {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Core stylesheet not found: ${filePath}`);
     }
+    const css = fs.readFileSync(filePath, 'utf8');
+    bundle.add(css, filePath);
+    stylesheets.push({ file: filePath, css, component: null });
   });
   
-  // Get all component directories
-  const componentDirs = fs.readdirSync(config.componentsDir, { withFileTypes: true })
-    .filter(dirent => dirent.isDirectory())
-    .map(dirent => dirent.name);
-  
-  // Add component styles
-  componentDirs.forEach(componentName => {
-    const cssFile = path.join(config.componentsDir, componentName, `${componentName.toLowerCase()}.css`);
-    
-    if (fs.existsSync(cssFile)) {
-      combinedCSS += `/* ${componentName} Component Styles */\n`;
-      combinedCSS += fs.readFileSync(cssFile, 'utf8') + '\n';
+  // Add component styles in dependency order
+  components.forEach(component => {
+    if (component.css) {
+      const css = fs.readFileSync(component.css, 'utf8');
+      bundle.addGenerated(`/* ${component.folder} Component Styles */\n`);
+      if (component.scopeStyles) {
+        const trace = [];
+        bundle.addTraced(scopeComponentCSS(component, css, trace), component.css, css, trace);
+      } else {
+        bundle.add(css, component.css);
+      }
+      stylesheets.push({ file: component.css, css, component: component.name });
     }
   });
   
-  // Write combined CSS
-  fs.writeFileSync(path.join(config.buildDir, 'styles.css'), combinedCSS);
+  const markup = components.filter(component => component.html).map(component => fs.readFileSync(component.html, 'utf8'));
+  checkDesignTokens(stylesheets, markup);
+  checkContrast(stylesheets.filter(sheet => sheet.component === null));
+  
+  // Write combined CSS and its source map
+  writeBundle(outputFile, bundle);
   console.log('CSS build complete.');
 }
 
-// Concatenate JavaScript files
-function buildJS() {
-  console.log('Building JavaScript...');
-  
-  let combinedJS = '';
-  
-  // Core scripts
-  const coreScripts = [
-    'utils.js',
-    'main.js'
-  ];
+// Fill in a component's root selector from its HTML when the manifest has none
+function withRootSelector(component) {
+  if (component.root || !component.html) return component;
+  const root = findRootElement(fs.readFileSync(component.html, 'utf8'));
+  // Ids filled in by include parameters ({{ id }}) are not known here
+  return root && /^[\w-]+$/.test(root.id || '') ? Object.assign({}, component, { root: `#${root.id}` }) : component;
+}
+
+// Prefix a component's selectors with its root element (manifest `scopeStyles`)
+function scopeComponentCSS(component, css, trace) {
+  const root = component.html ? findRootElement(fs.readFileSync(component.html, 'utf8')) : null;
+  let scope = component.scopeStyles;
   
-  // Add core scripts first
-  coreScripts.forEach(file => {
-    const filePath = path.join(config.coreScriptsDir, file);
-    if (fs.existsSync(filePath)) {
-      combinedJS += fs.readFileSync(filePath, 'utf8') + '\n';
+  if (scope === true) {
+    if (!root || !root.id) {
+      throw new Error(`Component "${component.name}" sets "scopeStyles": true but its root element has no id`);
     }
+    scope = `#${root.id}`;
+  }
+  
+  return scopeCSS(css, scope, root ? root.classes : [], trace);
+}
+
+// Search engines skip an Event without the properties rich results need
+function checkEvent(event) {
+  const missing = missingEventProperties(event);
+  missing.forEach(key => {
+    console.warn(`  Warning: the Event JSON-LD has no ${key} (see event in content/seo.json)`);
   });
+  if (missing.length > 0 && options.strict) {
+    throw new Error('The Event JSON-LD lacks properties search engines require (--strict)');
+  }
+}
+
+// Check every var(--x) in component styles against the design tokens; tokens
+// named in component HTML data attributes count as used
+function checkDesignTokens(stylesheets, markup) {
+  const tokens = stylesheets.find(sheet => path.resolve(sheet.file) === path.resolve(config.tokensFile));
+  if (!tokens) {
+    throw new Error(`Design tokens ${config.tokensFile} are not listed in core/manifest.json`);
+  }
   
-  // Get all component directories
-  const componentDirs = fs.readdirSync(config.componentsDir, { withFileTypes: true })
-    .filter(dirent => dirent.isDirectory())
-    .map(dirent => dirent.name);
+  const report = checkCustomProperties(tokens, stylesheets.filter(sheet => sheet !== tokens), markup);
+  const hasProblems = printTokenReport(report);
+  if (hasProblems && options.strict) {
+    throw new Error('Component styles use undefined design tokens (--strict)');
+  }
+}
+
+// Check text/background token pairs from content/themes.json in every theme
+function checkContrast(coreStylesheets) {
+  const themes = loadContent(config.contentDir).themes;
+  if (!themes) return;
   
-  // Add component scripts
-  componentDirs.forEach(componentName => {
-    const jsFile = path.join(config.componentsDir, componentName, `${componentName.toLowerCase()}.js`);
-    
-    if (fs.existsSync(jsFile)) {
-      combinedJS += `/* ${componentName} Component Script */\n`;
-      combinedJS += fs.readFileSync(jsFile, 'utf8') + '\n';
+  const tokens = coreStylesheets.find(sheet => path.resolve(sheet.file) === path.resolve(config.tokensFile));
+  const report = checkThemeContrast(themes, tokens, coreStylesheets.filter(sheet => sheet !== tokens));
+  const hasProblems = printContrastReport(report);
+  if (hasProblems && options.strict) {
+    throw new Error('Theme colours fall short of the WCAG contrast minimum (--strict)');
+  }
+}
+
+// Concatenate JavaScript files
+function buildJS(components, core) {
+  console.log('Building JavaScript...');
+  
+  if (!core.entry || !fs.existsSync(core.entry)) {
+    throw new Error(`Core script entry not found: ${core.entry}`);
+  }
+  
+  const outputFile = path.join(config.buildDir, 'scripts.js');
+  const bundle = createConcatenation(outputFile);
+  const modules = bundleModules({ entry: core.entry, components: components.map(withRootSelector) });
+  const folders = new Map(components.filter(component => component.js)
+    .map(component => [path.relative('.', component.js).split(path.sep).join('/'), component.folder]));
+  
+  // Each module runs in its own scope inside one strict-mode IIFE
+  bundle.addGenerated('(function() {\n\'use strict\';\nconst __modules = {};\n');
+  modules.forEach(module => {
+    const banner = folders.has(module.id) ? `${folders.get(module.id)} Component Script` : module.id;
+    bundle.addGenerated(`\n/* ${banner} */\n${module.header}\n`);
+    if (module.id === COMPONENTS_MODULE) {
+      bundle.addGenerated(`${module.lines.map(line => line.text).join('\n')}\n`);
+    } else {
+      bundle.addLines(module.lines, module.file, module.source);
     }
+    bundle.addGenerated(`${module.footer}\n`);
   });
+  bundle.addGenerated('})();\n');
   
-  // Write combined JS
-  fs.writeFileSync(path.join(config.buildDir, 'scripts.js'), combinedJS);
+  // Write combined JS and its source map
+  writeBundle(outputFile, bundle);
   console.log('JavaScript build complete.');
 }
 
 // Copy static assets
-function copyAssets() {
+function copyAssets(components) {
   console.log('Copying assets...');
   
   // Create assets directory if it doesn't exist
@@ -171,52 +369,356 @@ function copyAssets() {
     });
   }
   
+  // Copy assets declared in component manifests
+  components.forEach(component => {
+    component.assets.forEach(asset => {
+      const source = path.join(component.dir, asset);
+      if (!fs.existsSync(source)) {
+        throw new Error(`Component "${component.name}" declares missing asset: ${source}`);
+      }
+      
+      const destination = path.join(buildAssetsDir, 'components', component.folder, asset);
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.copyFileSync(source, destination);
+    });
+  });
+  
   console.log('Assets copied.');
 }
 
-// Update image paths in HTML and CSS
-function updateAssetPaths() {
-  console.log('Updating asset paths...');
+// Copy vendored libraries and fonts into the build. Icon stylesheets are
+// pruned to the icons the generated pages and component scripts use.
+function copyVendor(components) {
+  const vendor = loadVendor(config.vendorDir);
+  const sources = listBuiltPages()
+    .concat(components.filter(component => component.js).map(component => component.js))
+    .map(file => fs.readFileSync(file, 'utf8'));
   
-  // Update HTML
-  const htmlFile = path.join(config.buildDir, 'index.html');
-  if (fs.existsSync(htmlFile)) {
-    let htmlContent = fs.readFileSync(htmlFile, 'utf8');
-    
-    // Update paths in HTML
-    htmlContent = htmlContent.replace(/src="core\/assets\/images\//g, 'src="build/assets/images/');
-    htmlContent = htmlContent.replace(/href="core\/assets\/images\//g, 'href="build/assets/images/');
-    
-    fs.writeFileSync(htmlFile, htmlContent);
+  const pruned = copyVendored(vendor, path.join(config.buildDir, 'vendor'), findIconClasses(sources));
+  pruned.forEach(({ name, icons, total, files }) => {
+    console.log(`  ${name}: kept the CSS rules of ${icons} of ${total} icons; ${files.length} font files copied whole`);
+  });
+}
+
+// Write the web app manifest and the icons it lists
+function buildWebManifest() {
+  const site = loadContent(config.contentDir).site || {};
+  const icons = writeAppIcons(config.logoFile, path.join(config.buildDir, 'assets', 'icons'), site.backgroundColor);
+  const manifest = webAppManifest(site, icons, 'assets/icons');
+  fs.writeFileSync(path.join(config.buildDir, config.webManifestFile), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// Write the service worker. It runs last so the precache list holds the
+// final, fingerprinted file names.
+function buildServiceWorker() {
+  console.log('Writing service worker...');
+  
+  if (!fs.existsSync(path.join(config.buildDir, config.offlinePage))) {
+    throw new Error(`The offline page ${config.offlinePage} was not built; add pages/${path.basename(config.offlinePage, '.html')}.json`);
   }
   
-  // Update CSS
+  const { files, version } = collectPrecache(config.buildDir, config.serviceWorkerFile);
+  const source = serviceWorkerSource({
+    cachePrefix: config.cachePrefix,
+    version,
+    precache: files,
+    offlinePage: config.offlinePage
+  });
+  fs.writeFileSync(path.join(config.buildDir, config.serviceWorkerFile), source);
+  console.log(`  ${files.length} files precached (cache ${config.cachePrefix}${version})`);
+}
+
+// Download everything listed in vendor/manifest.json
+async function vendorLibraries() {
+  console.log('Vendoring third-party files...');
+  await fetchVendor(loadVendor(config.vendorDir));
+  console.log('Vendoring complete.');
+}
+
+// Point every URL in the pages and styles.css at the build's layout under
+// the site's base path. References to files the build did not write fail it.
+function resolveAssetUrls() {
+  console.log('Resolving asset URLs...');
+  
+  const site = loadContent(config.contentDir).site || {};
+  const basePath = basePathOf(site);
+  // Watch rebuilds in production find the bundles they did not rebuild
+  // under their hashed names; fingerprintAssets points the pages at those
+  const renamed = options.production
+    ? readAssetManifest(path.join(config.buildDir, config.assetManifestFile))
+    : {};
+  const resolve = createUrlResolver({ buildDir: config.buildDir, basePath, baseUrl: siteBaseUrl(site), renamed });
+  
   const cssFile = path.join(config.buildDir, 'styles.css');
-  if (fs.existsSync(cssFile)) {
-    let cssContent = fs.readFileSync(cssFile, 'utf8');
+  const files = listBuiltPages().map(file => ({ file, type: 'html' }))
+    .concat(fs.existsSync(cssFile) ? [{ file: cssFile, type: 'css' }] : [])
+    .map(entry => Object.assign(entry, { source: fs.readFileSync(entry.file, 'utf8') }));
+  
+  const { outputs, missing } = resolveUrls(files, resolve);
+  missing.forEach(({ file, line, column, reference, target }) => {
+    console.error(`  ${path.relative('.', file)}:${line}:${column} "${reference}" points at ${target}, which the build does not contain`);
+  });
+  if (missing.length > 0) {
+    throw new Error(`${missing.length} reference${missing.length === 1 ? '' : 's'} to missing files`);
+  }
+  
+  outputs.forEach(({ file, source }) => fs.writeFileSync(file, source));
+  console.log(`  Base path: ${basePath}`);
+}
+
+// List the generated HTML pages
+function listBuiltPages() {
+  return fs.readdirSync(config.buildDir)
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.join(config.buildDir, file));
+}
+
+// Audit the generated pages and write a JSON report next to them
+function auditOutput() {
+  console.log('Auditing pages...');
+  
+  const pages = listBuiltPages().map(htmlFile => ({
+    file: path.relative('.', htmlFile).split(path.sep).join('/'),
+    html: fs.readFileSync(htmlFile, 'utf8')
+  }));
+  const report = Object.assign({ generated: new Date().toISOString() }, auditPages(pages));
+  fs.writeFileSync(path.join(config.buildDir, config.auditReportFile), JSON.stringify(report, null, 2) + '\n');
+  
+  const { errors, warnings } = printAuditReport(report);
+  if (errors > 0) {
+    throw new Error(`The page audit found ${errors} error${errors === 1 ? '' : 's'} (see ${config.auditReportFile})`);
+  }
+  if (warnings > 0 && options.strict) {
+    throw new Error(`The page audit found ${warnings} warning${warnings === 1 ? '' : 's'} (--strict)`);
+  }
+}
+
+// Minify generated HTML, CSS and JS in place. Bundle source maps are
+// carried through so minified code still points at the original files.
+function minifyOutput() {
+  console.log('Minifying output...');
+  
+  const minifiers = { '.html': minifyHTML, '.css': minifyCSS, '.js': minifyJS };
+  const files = listBuiltPages().concat(config.hashedAssets.map(file => path.join(config.buildDir, file)));
+  
+  files.forEach(file => {
+    if (!fs.existsSync(file)) return;
     
-    // Update paths in CSS
-    cssContent = cssContent.replace(/url\(['"]?core\/assets\/images\//g, 'url(\'build/assets/images/');
-    cssContent = cssContent.replace(/url\(['"]?core\/assets\/fonts\//g, 'url(\'build/assets/fonts/');
+    const source = fs.readFileSync(file, 'utf8');
+    const mapFile = `${file}.map`;
+    let minified;
     
-    fs.writeFileSync(cssFile, cssContent);
-  }
+    if (path.extname(file) !== '.html' && fs.existsSync(mapFile)) {
+      const code = source.replace(SOURCE_MAPPING_PATTERN, '');
+      const trace = [];
+      minified = minifiers[path.extname(file)](code, trace);
+      
+      const map = remapMinified(JSON.parse(fs.readFileSync(mapFile, 'utf8')), code, minified, trace);
+      fs.writeFileSync(mapFile, JSON.stringify(map));
+      minified += `\n${sourceMappingComment(file, path.basename(mapFile))}\n`;
+    } else {
+      minified = minifiers[path.extname(file)](source);
+    }
+    
+    fs.writeFileSync(file, minified);
+    console.log(`  ${path.basename(file)}: ${source.length} -> ${minified.length} bytes`);
+  });
   
-  console.log('Asset paths updated.');
+  console.log('Minification complete.');
 }
 
-// Run the build process
-function runBuild() {
+// Rename bundles to content-hashed filenames, point every page at them
+// and record the mapping in the asset manifest
+function fingerprintAssets() {
+  console.log('Fingerprinting assets...');
+  
+  const manifestFile = path.join(config.buildDir, config.assetManifestFile);
+  const previous = readAssetManifest(manifestFile);
+  const manifest = fingerprintFiles(config.buildDir, config.hashedAssets, previous);
+  
+  // Rewrite references, including <link rel="preload"> hints. Pages from an
+  // earlier watch build may still name the previous hashed file.
+  const basePath = basePathOf(loadContent(config.contentDir).site || {});
+  const prefix = basePath === './' ? '' : basePath;
+  
+  listBuiltPages().forEach(htmlFile => {
+    const htmlContent = fs.readFileSync(htmlFile, 'utf8');
+    fs.writeFileSync(htmlFile, rewriteBundleUrls(htmlContent, manifest, previous, prefix));
+  });
+  
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2) + '\n');
+  Object.keys(manifest).forEach(name => console.log(`  ${name} -> ${manifest[name]}`));
+  console.log('Fingerprinting complete.');
+}
+
+// Remove everything in the build directory except .gitkeep
+function cleanBuildDir() {
+  fs.readdirSync(config.buildDir)
+    .filter(name => name !== '.gitkeep')
+    .forEach(name => fs.rmSync(path.join(config.buildDir, name), { recursive: true, force: true }));
+}
+
+// Run the build process for the given outputs
+function runBuild(targets = BUILD_TARGETS) {
   console.log('Starting build process...');
   
-  buildHTML();
-  buildCSS();
-  buildJS();
-  copyAssets();
-  updateAssetPaths();
+  // Resolve the component graph once for every build step
+  const components = loadComponents(config.componentsDir);
+  const core = loadCoreManifest(config.coreDir);
+  console.log(`Component order: ${components.map(component => component.name).join(', ')}`);
+  
+  // A full build starts from an empty directory, so nothing from an earlier
+  // build (old hashed bundles, removed pages) is deployed or precached
+  if (BUILD_TARGETS.every(target => targets.includes(target))) cleanBuildDir();
+  
+  if (targets.includes('html')) buildHTML(components);
+  if (targets.includes('css')) buildCSS(components, core);
+  if (targets.includes('js')) buildJS(components, core);
+  if (targets.includes('assets')) copyAssets(components);
+  // Icon CSS pruning follows the pages, and the web app manifest site.json
+  if (targets.includes('html') || targets.includes('assets')) {
+    copyVendor(components);
+    buildWebManifest();
+  }
+  resolveAssetUrls();
+  
+  // Audited before minifying so reported lines match the readable output
+  if (options.audit) auditOutput();
+  
+  if (options.production) {
+    minifyOutput();
+    fingerprintAssets();
+  }
+  
+  buildServiceWorker();
   
   console.log('Build completed successfully!');
 }
 
+// Site settings for this build. Watch and serve builds post nominations to
+// `devNominationEndpoint`, answered by the dev server's stub; every other
+// build uses `nominationEndpoint`, which must work on the static host.
+function siteSettings(site) {
+  if ((options.watch || options.serve) && site.devNominationEndpoint) {
+    return Object.assign({}, site, { nominationEndpoint: site.devNominationEndpoint });
+  }
+  
+  const endpoint = site.nominationEndpoint || '';
+  if (endpoint.startsWith('/') && !endpoint.startsWith('//')) {
+    console.warn(`  Warning: nominationEndpoint "${endpoint}" is site-relative; only the dev server answers it, ` +
+      'so use a mailto: address or a form service URL and move it to devNominationEndpoint');
+    if (options.strict) {
+      throw new Error('nominationEndpoint does not exist on the deployed site (--strict)');
+    }
+  }
+  return site;
+}
+
+// API stand-ins for the dev server. A site-relative nomination endpoint is
+// answered by a stub so the form can be tried without a backend.
+function devServerRoutes() {
+  const site = loadContent(config.contentDir).site || {};
+  const endpoint = site.devNominationEndpoint || site.nominationEndpoint;
+  
+  if (!endpoint || !endpoint.startsWith('/')) {
+    return {};
+  }
+  return { [`POST ${endpoint}`]: createNominationStub() };
+}
+
+// Work out which outputs a changed source file affects
+function targetsForChange(file) {
+  const relative = path.relative('.', file).split(path.sep).join('/');
+  const extension = path.extname(file).toLowerCase();
+  
+  // Manifests change the component graph, so everything is rebuilt
+  if (path.basename(file) === 'component.json' || relative === 'core/manifest.json') {
+    return BUILD_TARGETS;
+  }
+  if (relative.startsWith('core/assets/')) return ['assets'];
+  // Theme settings feed the page bootstrap and the contrast check
+  if (relative === `${path.relative('.', config.contentDir)}/themes.json`) return ['html', 'css'];
+  if (extension === '.css') return ['css'];
+  if (extension === '.js') return ['js'];
+  if (['.html', '.json', '.yaml', '.yml'].includes(extension)) return ['html'];
+  
+  // Anything else inside a component folder is a declared asset
+  if (relative.startsWith('components/')) return ['assets'];
+  
+  return [];
+}
+
+// Watch sources, rebuild what changed and tell the browser how to refresh
+function startWatching(server) {
+  const sources = [
+    config.componentsDir,
+    config.coreDir,
+    config.layoutsDir,
+    config.pagesDir,
+    config.contentDir,
+    config.templateFile
+  ];
+  
+  watch(sources, changedFiles => {
+    const targets = BUILD_TARGETS.filter(target => {
+      return changedFiles.some(file => targetsForChange(file).includes(target));
+    });
+    if (targets.length === 0) return;
+    
+    console.log(`\nChanged: ${changedFiles.map(file => path.relative('.', file)).join(', ')}`);
+    try {
+      runBuild(targets);
+    } catch (error) {
+      console.error(`Build failed: ${error.message}`);
+      return;
+    }
+    
+    if (server) {
+      // Stylesheet-only changes are hot-swapped without a page reload,
+      // unless a new hashed filename means the pages changed too
+      const cssOnly = targets.length === 1 && targets[0] === 'css' && !options.production;
+      server.notify(cssOnly ? 'css' : 'reload');
+    }
+  });
+  
+  console.log('Watching for changes...');
+}
+
 // Execute the build
-runBuild();
\ No newline at end of file
+if (options.vendor) {
+  vendorLibraries()
+    .then(() => runBuild())
+    .catch(error => {
+      console.error(`Build failed: ${error.message}`);
+      process.exit(1);
+    });
+} else if (options.watch || options.serve) {
+  // Keep running after a failed build so the next save can fix it
+  try {
+    runBuild();
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+  }
+  
+  // Pages are served under the same base path as in production
+  const basePath = basePathOf(loadContent(config.contentDir).site || {});
+  const server = options.serve
+    ? createDevServer({
+      root: config.buildDir,
+      port: options.port,
+      aliases: basePath.startsWith('/') && basePath !== '/' ? { [basePath]: config.buildDir } : {},
+      routes: devServerRoutes()
+    })
+    : null;
+  
+  if (options.watch) {
+    startWatching(server);
+  }
+} else {
+  try {
+    runBuild();
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,54 @@
+import { DOM } from '../../core/scripts/utils.js';
+import { Consent } from '../../core/scripts/consent.js';
+import { Modal } from '../../core/scripts/modal.js';
+
+export function initCookieConsent({ on, cleanup }) {
+  const banner = DOM.byId('cookie-consent');
+  const form = DOM.byId('cookie-preferences-form');
+  if (!banner || !form) return;
+  
+  const checkboxes = Array.from(DOM.query('[data-consent-category]', form));
+  
+  // Categories and policy version are rendered from content/consent.json
+  Consent.init({
+    version: Number(banner.dataset.consentVersion),
+    expiryDays: Number(banner.dataset.consentExpiryDays),
+    categories: checkboxes.map(checkbox => checkbox.dataset.consentCategory),
+    required: checkboxes
+      .filter(checkbox => checkbox.dataset.required === 'true')
+      .map(checkbox => checkbox.dataset.consentCategory)
+  });
+  
+  // Show the stored choice in the preferences panel
+  function syncCheckboxes() {
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = Consent.has(checkbox.dataset.consentCategory);
+      checkbox.disabled = checkbox.dataset.required === 'true';
+    });
+  }
+  
+  function decide(apply) {
+    banner.hidden = true;
+    if (Modal.isOpen('cookie-preferences')) Modal.close('cookie-preferences');
+    apply();
+  }
+  
+  banner.hidden = Consent.hasDecided();
+  syncCheckboxes();
+  
+  on(DOM.byId('cookie-accept'), 'click', () => decide(Consent.acceptAll));
+  on(DOM.byId('cookie-decline'), 'click', () => decide(Consent.rejectAll));
+  on(DOM.queryFirst('[data-consent-action="reject"]', form), 'click', () => decide(Consent.rejectAll));
+  
+  on(form, 'submit', event => {
+    event.preventDefault();
+    const chosen = checkboxes
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.dataset.consentCategory);
+    decide(() => Consent.set(chosen));
+  });
+  
+  cleanup(Modal.on('open', ({ id }) => {
+    if (id === 'cookie-preferences') syncCheckboxes();
+  }));
+}
@@ -1,66 +1,70 @@
-function initHeader() {
+import { DOM } from '../../core/scripts/utils.js';
+import { Modal } from '../../core/scripts/modal.js';
+import { Navigation } from '../../core/scripts/navigation.js';
+import { ScrollService } from '../../core/scripts/scroll.js';
+import { ScrollLock } from '../../core/scripts/scroll-lock.js';
+
+// Scroll distance before the header turns solid and may hide
+const SCROLLED_OFFSET = 100;
+
+export function initHeader({ on, cleanup }) {
   // DOM elements
-  const header = document.getElementById('site-header');
-  const hamburger = document.querySelector('.hamburger');
-  const navLinks = document.getElementById('nav-links');
-  const navLinksItems = document.querySelectorAll('.nav-link');
-  const nominateBtn = document.getElementById('open-nomination-modal-nav');
+  const header = DOM.byId('site-header');
+  const hamburger = DOM.queryFirst('.hamburger');
+  const navLinks = DOM.byId('nav-links');
+  const navLinksItems = DOM.query('.nav-link');
+  
+  // Open or close the mobile menu
+  function setMenuOpen(isOpen) {
+    if (!hamburger) return;
+    
+    hamburger.classList.toggle('active', isOpen);
+    navLinks.classList.toggle('active', isOpen);
+    hamburger.setAttribute('aria-expanded', isOpen);
+    
+    // Prevent scrolling while the menu is open
+    if (isOpen) {
+      ScrollLock.lock('mobile-menu');
+    } else {
+      ScrollLock.unlock('mobile-menu');
+    }
+  }
   
   // Toggle mobile menu
   if (hamburger) {
-    hamburger.addEventListener('click', () => {
-      hamburger.classList.toggle('active');
-      navLinks.classList.toggle('active');
-      
-      // Update aria-expanded attribute
-      const isExpanded = hamburger.classList.contains('active');
-      hamburger.setAttribute('aria-expanded', isExpanded);
-      
-      // Prevent scrolling when menu is open
-      document.body.style.overflow = isExpanded ? 'hidden' : '';
+    on(hamburger, 'click', () => {
+      setMenuOpen(!hamburger.classList.contains('active'));
     });
   }
   
   // Close mobile menu when clicking a link
-  navLinksItems.forEach(item => {
-    item.addEventListener('click', () => {
-      if (hamburger.classList.contains('active')) {
-        hamburger.classList.remove('active');
-        navLinks.classList.remove('active');
-        hamburger.setAttribute('aria-expanded', 'false');
-        document.body.style.overflow = '';
-      }
-    });
-  });
+  on(navLinksItems, 'click', () => setMenuOpen(false));
   
-  // Header scroll behavior
-  function handleHeaderScroll() {
-    if (window.scrollY > 100) {
-      header.classList.add('scrolled');
-    } else {
-      header.classList.remove('scrolled');
-    }
+  // A dialog opened from the menu replaces it
+  cleanup(Modal.on('open', () => setMenuOpen(false)));
+  
+  // Highlight the section in view and scroll below the fixed header
+  cleanup(Navigation.init({ links: navLinksItems, header }));
+  
+  // Header scroll behavior: solid once scrolled, hidden while scrolling
+  // down and shown again as soon as the user scrolls up
+  function handleHeaderScroll({ y, direction }) {
+    const isScrolled = y > SCROLLED_OFFSET;
+    const menuOpen = hamburger && hamburger.classList.contains('active');
+    const hasFocus = header.contains(document.activeElement);
+    
+    header.classList.toggle('scrolled', isScrolled);
+    header.classList.toggle('header-hidden', isScrolled && direction === 'down' && !menuOpen && !hasFocus);
   }
   
-  // Initialize scroll handler
-  window.addEventListener('scroll', handleHeaderScroll);
+  cleanup(ScrollService.onScroll(handleHeaderScroll, { immediate: true }));
   
-  // Initialize header state on page load
-  handleHeaderScroll();
+  // Keyboard users tabbing into a hidden header bring it back
+  on(header, 'focusin', () => header.classList.remove('header-hidden'));
   
-  // Connect nomination button to modal if exists
-  if (nominateBtn) {
-    nominateBtn.addEventListener('click', () => {
-      const modal = document.getElementById('nomination-modal');
-      if (modal) {
-        modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
-      }
-    });
-  }
+  // Leave the page unlocked and the header visible when torn down
+  cleanup(() => {
+    setMenuOpen(false);
+    header.classList.remove('scrolled', 'header-hidden');
+  });
 }
-
-// Export the initialization function
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { initHeader };
-}
\ No newline at end of file
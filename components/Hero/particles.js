@@ -0,0 +1,281 @@
+/**
+ * Canvas particle field for the hero background.
+ *
+ * Particles drift slowly upwards and fade in and out, as the old CSS
+ * animation did, but are drawn on one canvas. Colours are read again when the
+ * page's theme (the data-theme attribute on <html>) changes. The animation
+ * only runs while the container is on screen and the tab is visible; with
+ * `prefers-reduced-motion: reduce` a single still frame is drawn instead.
+ * The particle count scales with the container's area and the device.
+ */
+
+// Area the configured count is meant for; bigger or smaller containers scale it
+const REFERENCE_AREA = 1440 * 900;
+
+// Never render above this pixel ratio; the particles are tiny blurs anyway
+const MAX_PIXEL_RATIO = 2;
+
+// Longest step simulated in one frame, so a stalled tab does not jump
+const MAX_STEP = 100;
+
+// Average frame time above which the field thins itself out
+const SLOW_FRAME = 24;
+const FRAME_SAMPLE = 60;
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+export const PARTICLE_DEFAULTS = {
+  count: 50,
+  speed: 1,
+  // CSS custom properties (read from the container) or plain colour values
+  colors: ['--color-white'],
+  minSize: 1,
+  maxSize: 6,
+  // Seconds a particle lives at speed 1
+  minLife: 10,
+  maxLife: 20,
+  // Distance travelled over a lifetime, in CSS pixels
+  drift: { x: 20, y: -100 }
+};
+
+// Fewer particles on hardware that is likely to struggle
+function deviceFactor() {
+  const connection = navigator.connection;
+  if (connection && connection.saveData) return 0.3;
+
+  let factor = 1;
+  if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4) factor *= 0.6;
+  if (navigator.deviceMemory && navigator.deviceMemory <= 2) factor *= 0.5;
+  return factor;
+}
+
+function random(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Create a particle field inside `container`
+ * @param {HTMLElement} container - Positioned element the canvas fills
+ * @param {Object} options - See PARTICLE_DEFAULTS
+ * @returns {Object|null} - { start, stop, resize, destroy, isRunning }, or null
+ *   when the browser cannot give a 2D canvas context
+ */
+export function createParticleField(container, options = {}) {
+  const settings = { ...PARTICLE_DEFAULTS, ...options };
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext ? canvas.getContext('2d') : null;
+  if (!context) return null;
+
+  const motionQuery = window.matchMedia ? window.matchMedia(REDUCED_MOTION) : null;
+
+  let particles = [];
+  let colors = [];
+  let width = 0;
+  let height = 0;
+  let frame = null;
+  let lastTime = null;
+  let onScreen = true;
+  let density = 1;
+  let frameTimes = [];
+  let observer = null;
+  let themeObserver = null;
+
+  const reducedMotion = () => Boolean(motionQuery && motionQuery.matches);
+  const shouldRun = () => onScreen && !document.hidden && !reducedMotion();
+
+  // Colours may be tokens, so they are read from the container's computed style
+  function readColors() {
+    const style = window.getComputedStyle(container);
+    colors = settings.colors
+      .map(color => (color.startsWith('--') ? style.getPropertyValue(color).trim() : color))
+      .filter(Boolean);
+    if (colors.length === 0) colors = ['#ffffff'];
+  }
+
+  function targetCount() {
+    const areaFactor = Math.min(Math.max((width * height) / REFERENCE_AREA, 0.25), 1.5);
+    return Math.round(settings.count * areaFactor * deviceFactor() * density);
+  }
+
+  // A new particle; `age` lets the first batch start part-way through their lives
+  function spawn(age = 0) {
+    const life = random(settings.minLife, settings.maxLife) * 1000;
+    return {
+      x: Math.random() * width,
+      y: Math.random() * height,
+      size: random(settings.minSize, settings.maxSize),
+      alpha: random(0.1, 0.6),
+      // An index, so a theme change recolours the particle in place
+      color: Math.floor(Math.random() * colors.length),
+      life,
+      age: age * life
+    };
+  }
+
+  function fill() {
+    const count = targetCount();
+    if (particles.length > count) {
+      particles.length = count;
+    }
+    while (particles.length < count) {
+      particles.push(spawn(Math.random()));
+    }
+  }
+
+  function draw() {
+    context.clearRect(0, 0, width, height);
+
+    particles.forEach(particle => {
+      const progress = particle.age / particle.life;
+      // Fade in over the first half and out over the second
+      const opacity = particle.alpha * (1 - Math.abs(progress * 2 - 1));
+      if (opacity <= 0) return;
+
+      context.globalAlpha = opacity;
+      context.fillStyle = colors[particle.color % colors.length];
+      context.beginPath();
+      context.arc(
+        particle.x + settings.drift.x * progress,
+        particle.y + settings.drift.y * progress,
+        particle.size / 2,
+        0,
+        Math.PI * 2
+      );
+      context.fill();
+    });
+
+    context.globalAlpha = 1;
+  }
+
+  function step(elapsed) {
+    const advance = elapsed * settings.speed;
+    particles = particles.map(particle => {
+      particle.age += advance;
+      return particle.age >= particle.life ? spawn() : particle;
+    });
+  }
+
+  // Halve the density when frames keep running long
+  function measure(elapsed) {
+    frameTimes.push(elapsed);
+    if (frameTimes.length < FRAME_SAMPLE) return;
+
+    const average = frameTimes.reduce((sum, time) => sum + time, 0) / frameTimes.length;
+    frameTimes = [];
+    if (average > SLOW_FRAME && density > 0.25) {
+      density /= 2;
+      fill();
+    }
+  }
+
+  function tick(time) {
+    const elapsed = lastTime === null ? 0 : Math.min(time - lastTime, MAX_STEP);
+    lastTime = time;
+
+    step(elapsed);
+    draw();
+    if (elapsed > 0) measure(elapsed);
+
+    frame = requestAnimationFrame(tick);
+  }
+
+  function stop() {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    lastTime = null;
+    frameTimes = [];
+  }
+
+  // Start or stop to match visibility and the motion preference
+  function update() {
+    if (shouldRun()) {
+      if (frame === null) frame = requestAnimationFrame(tick);
+    } else {
+      stop();
+      // Reduced motion still gets the particles, just standing still
+      if (reducedMotion()) draw();
+    }
+  }
+
+  // Existing particles keep their place relative to the new size; fill()
+  // then adds or drops particles to suit the new area
+  function resize() {
+    const ratio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+    const scaleX = width > 0 ? container.clientWidth / width : 1;
+    const scaleY = height > 0 ? container.clientHeight / height : 1;
+    width = container.clientWidth;
+    height = container.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    particles.forEach(particle => {
+      particle.x *= scaleX;
+      particle.y *= scaleY;
+    });
+
+    readColors();
+    fill();
+    draw();
+  }
+
+  function handleVisibility() {
+    update();
+  }
+
+  function handleMotionChange() {
+    update();
+  }
+
+  // The new theme's tokens apply at once; the still frame needs redrawing
+  function handleThemeChange() {
+    readColors();
+    if (frame === null) draw();
+  }
+
+  canvas.setAttribute('aria-hidden', 'true');
+  container.appendChild(canvas);
+  resize();
+
+  if ('IntersectionObserver' in window) {
+    observer = new IntersectionObserver(records => {
+      onScreen = records[records.length - 1].isIntersecting;
+      update();
+    });
+    observer.observe(container);
+  }
+  if ('MutationObserver' in window) {
+    themeObserver = new MutationObserver(handleThemeChange);
+    themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+  }
+  document.addEventListener('visibilitychange', handleVisibility);
+  if (motionQuery) motionQuery.addEventListener('change', handleMotionChange);
+
+  return {
+    /** Run the animation when the field is visible and motion is allowed */
+    start: update,
+
+    /** Pause the animation */
+    stop,
+
+    /** Match the canvas to the container's size, rescaling the particles' positions */
+    resize: () => {
+      resize();
+      update();
+    },
+
+    /** Stop, remove every listener and take the canvas out of the page */
+    destroy: () => {
+      stop();
+      if (observer) observer.disconnect();
+      if (themeObserver) themeObserver.disconnect();
+      document.removeEventListener('visibilitychange', handleVisibility);
+      if (motionQuery) motionQuery.removeEventListener('change', handleMotionChange);
+      canvas.remove();
+      particles = [];
+    },
+
+    /** @returns {boolean} - Whether frames are being drawn */
+    isRunning: () => frame !== null
+  };
+}
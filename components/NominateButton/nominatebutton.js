@@ -0,0 +1,43 @@
+import { DOM, Utils } from '../../core/scripts/utils.js';
+import { Clock } from '../../core/scripts/clock.js';
+
+// Nomination buttons follow the nominations window in content/timeline.json:
+// disabled with the opening date before it, "Nominations closed" after it
+export function initNominateButton({ cleanup }) {
+  const buttons = Array.from(DOM.query('[data-nominations-closes]'));
+  if (buttons.length === 0) return;
+  
+  const labels = new Map(buttons.map(button => [button, button.textContent]));
+  
+  function setState(button, label, isOpen) {
+    button.textContent = label;
+    button.disabled = !isOpen;
+    button.classList.toggle('btn-closed', !isOpen);
+  }
+  
+  function update() {
+    const now = Clock.now();
+    buttons.forEach(button => {
+      const opens = new Date(button.dataset.nominationsOpens);
+      const closes = new Date(button.dataset.nominationsCloses);
+      
+      if (now < opens.getTime()) {
+        setState(button, `Nominations open ${Utils.formatDate(opens, { month: 'long', day: 'numeric', year: undefined })}`, false);
+      } else if (now >= closes.getTime()) {
+        setState(button, 'Nominations closed', false);
+      } else {
+        setState(button, labels.get(button), true);
+      }
+    });
+  }
+  
+  // Every button shares the window, so the first one's dates are scheduled
+  const { nominationsOpens, nominationsCloses } = buttons[0].dataset;
+  cleanup(Clock.at(nominationsOpens, update));
+  cleanup(Clock.at(nominationsCloses, update));
+  update();
+  
+  cleanup(() => {
+    buttons.forEach(button => setState(button, labels.get(button), true));
+  });
+}
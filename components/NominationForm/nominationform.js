@@ -0,0 +1,259 @@
+import { DOM, Validation, Utils } from '../../core/scripts/utils.js';
+import { SubmissionError, createSubmissionAdapter } from './submission.js';
+
+// localStorage key for the unfinished nomination
+export const DRAFT_KEY = 'nominationDraft';
+
+/**
+ * Wrap a Storage so that no call throws. Blocked storage (private browsing,
+ * disabled cookies) throws as soon as it is touched, even when reading
+ * window.localStorage; the form then keeps no draft instead of failing.
+ * @param {Function} getStorage - Returns the Storage to use
+ * @returns {Object} - { getItem(key), setItem(key, value) -> saved, removeItem(key) }
+ */
+function safeStorage(getStorage) {
+  let storage = null;
+  try {
+    storage = getStorage();
+  } catch (error) {
+    storage = null;
+  }
+
+  const attempt = (call, fallback) => {
+    if (!storage) return fallback;
+    try {
+      return call();
+    } catch (error) {
+      return fallback;
+    }
+  };
+
+  return {
+    getItem: key => attempt(() => storage.getItem(key), null),
+    setItem: (key, value) => attempt(() => {
+      storage.setItem(key, value);
+      return true;
+    }, false),
+    removeItem: key => attempt(() => storage.removeItem(key), undefined)
+  };
+}
+
+/**
+ * Initialize the multi-step nomination form
+ * @param {Object} options - Component context from the registry, plus:
+ * @param {Object} options.adapter - Submission adapter (defaults to one for the form's data-endpoint)
+ * @param {Storage} options.storage - Where drafts are kept (defaults to localStorage)
+ */
+export function initNominationForm(options = {}) {
+  const form = DOM.byId('nomination-form');
+  if (!form) return;
+
+  const success = DOM.byId('nomination-success');
+  const steps = Array.from(DOM.query('.form-step', form));
+  const indicators = Array.from(DOM.query('[data-step-indicator]', form));
+  const status = DOM.queryFirst('.form-status', form);
+  const backBtn = DOM.queryFirst('[data-action="back"]', form);
+  const nextBtn = DOM.queryFirst('[data-action="next"]', form);
+  const submitBtn = DOM.queryFirst('[data-action="submit"]', form);
+  const confirmSentBtn = DOM.queryFirst('[data-action="confirm-sent"]', form);
+  const adapter = options.adapter || createSubmissionAdapter(form.dataset.endpoint);
+  const storage = safeStorage(() => options.storage || window.localStorage);
+  const on = options.on || DOM.on;
+  let currentStep = 0;
+
+  // Show one step and update the progress indicator and buttons
+  function showStep(index) {
+    currentStep = Math.max(0, Math.min(index, steps.length - 1));
+
+    steps.forEach((step, i) => {
+      step.hidden = i !== currentStep;
+      step.classList.toggle('active', i === currentStep);
+    });
+    indicators.forEach((indicator, i) => {
+      indicator.classList.toggle('active', i === currentStep);
+      indicator.classList.toggle('complete', i < currentStep);
+      if (i === currentStep) indicator.setAttribute('aria-current', 'step');
+      else indicator.removeAttribute('aria-current');
+    });
+
+    const isLast = currentStep === steps.length - 1;
+    backBtn.hidden = currentStep === 0;
+    nextBtn.hidden = isLast;
+    submitBtn.hidden = !isLast;
+  }
+
+  // Show (or clear) the error message under every field in `container`
+  function renderErrors(container, errors) {
+    Array.from(container.elements || form.elements).forEach(field => {
+      if (!field.name) return;
+
+      const message = DOM.queryFirst(`[data-error-for="${field.name}"]`, form);
+      const error = errors[field.name];
+
+      field.setAttribute('aria-invalid', error ? 'true' : 'false');
+      if (!message) return;
+
+      message.textContent = error || '';
+      message.hidden = !error;
+      if (error) {
+        if (!message.id) message.id = `${field.id || field.name}-error`;
+        field.setAttribute('aria-describedby', message.id);
+      } else {
+        field.removeAttribute('aria-describedby');
+      }
+    });
+  }
+
+  // Validate one step, showing its errors; returns whether it is valid
+  function validateStep(index) {
+    const { isValid, errors } = Validation.validateForm(steps[index]);
+    renderErrors(steps[index], errors);
+
+    if (!isValid) {
+      const firstInvalid = DOM.queryFirst('[aria-invalid="true"]', steps[index]);
+      if (firstInvalid) firstInvalid.focus();
+    }
+    return isValid;
+  }
+
+  // Collect the form's values as a plain object
+  function readValues() {
+    const values = {};
+    Array.from(form.elements).forEach(field => {
+      if (!field.name) return;
+      values[field.name] = field.type === 'checkbox' ? field.checked : field.value.trim();
+    });
+    return values;
+  }
+
+  function setStatus(message, isError = false) {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  // Drafts keep every value and the step the user was on. Storage can be
+  // full or blocked; the form still works without drafts.
+  function saveDraft() {
+    if (storage.setItem(DRAFT_KEY, JSON.stringify({ step: currentStep, values: readValues() }))) {
+      setStatus('Draft saved');
+    }
+  }
+
+  function restoreDraft() {
+    let draft = null;
+    try {
+      draft = JSON.parse(storage.getItem(DRAFT_KEY));
+    } catch (error) {
+      storage.removeItem(DRAFT_KEY);
+    }
+    if (!draft || !draft.values) return;
+
+    Object.entries(draft.values).forEach(([name, value]) => {
+      const field = form.elements[name];
+      if (!field) return;
+      if (field.type === 'checkbox') field.checked = value === true;
+      else field.value = value;
+    });
+    showStep(draft.step || 0);
+    setStatus('Your saved draft was restored');
+  }
+
+  function clearDraft() {
+    storage.removeItem(DRAFT_KEY);
+  }
+
+  // Build the payload sent to the adapter
+  function toNomination(values) {
+    const { supportingLink1, supportingLink2, supportingLink3, ...rest } = values;
+    return Object.assign(rest, {
+      supportingLinks: [supportingLink1, supportingLink2, supportingLink3].filter(Boolean),
+      submittedAt: new Date().toISOString()
+    });
+  }
+
+  // Clear the form and its draft and show the confirmation
+  function complete(result) {
+    clearDraft();
+    form.reset();
+    form.hidden = true;
+    if (success) {
+      const message = DOM.queryFirst('[data-success-message]', success);
+      if (message && result && result.message) message.textContent = result.message;
+      success.hidden = false;
+      success.focus();
+    }
+  }
+
+  async function submit() {
+    // Every step is checked again; jump to the first one with errors
+    const invalidStep = steps.findIndex(step => !Validation.validateForm(step).isValid);
+    if (invalidStep !== -1) {
+      showStep(invalidStep);
+      validateStep(invalidStep);
+      return;
+    }
+
+    submitBtn.disabled = true;
+    setStatus('Sending your nomination...');
+
+    try {
+      const result = await adapter.submit(toNomination(readValues()));
+      // The email app was only asked to open: the values and the draft stay
+      // until the visitor confirms the message went out, or cancelled it
+      if (result && result.sent === false) {
+        setStatus(result.message || 'Send the nomination from your email app to complete it.');
+        if (confirmSentBtn) confirmSentBtn.hidden = false;
+        return;
+      }
+      complete(result);
+    } catch (error) {
+      const fieldErrors = error instanceof SubmissionError ? error.fieldErrors : {};
+      renderErrors(form, fieldErrors);
+
+      // Show the first step with a server-side field error
+      const stepWithError = steps.findIndex(step =>
+        Array.from(step.elements).some(field => fieldErrors[field.name]));
+      if (stepWithError !== -1) showStep(stepWithError);
+
+      setStatus(error instanceof SubmissionError ? error.message : 'Something went wrong. Please try again later.', true);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  on(backBtn, 'click', () => {
+    showStep(currentStep - 1);
+    saveDraft();
+  });
+
+  function next() {
+    if (validateStep(currentStep)) {
+      showStep(currentStep + 1);
+      saveDraft();
+    }
+  }
+
+  on(nextBtn, 'click', next);
+  if (confirmSentBtn) on(confirmSentBtn, 'click', () => complete(null));
+
+  // Pressing Enter before the last step moves to the next one
+  on(form, 'submit', event => {
+    event.preventDefault();
+    if (currentStep < steps.length - 1) next();
+    else submit();
+  });
+
+  // Autosave while typing
+  on(form, 'input', Utils.debounce(saveDraft, 500));
+  on(form, 'change', saveDraft);
+
+  // Clear a field's error as soon as it is edited
+  on(form, 'input', event => {
+    if (event.target.getAttribute('aria-invalid') === 'true') {
+      renderErrors({ elements: [event.target] }, {});
+    }
+  });
+
+  showStep(0);
+  restoreDraft();
+}
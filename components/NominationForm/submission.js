@@ -0,0 +1,110 @@
+/**
+ * Submission adapters for the nomination form.
+ *
+ * An adapter is any object with a `submit(nomination)` method that returns a
+ * promise. It resolves with the server's response ({ id } at least, and a
+ * `message` to show instead of the default confirmation; `sent: false` when
+ * the visitor still has to send it themselves) or rejects with a
+ * SubmissionError. Field errors returned by the server are
+ * shown next to the matching fields, the same way client-side errors are.
+ */
+
+export class SubmissionError extends Error {
+  /**
+   * @param {string} message - Message shown above the form buttons
+   * @param {Object} fieldErrors - Field name -> error message
+   */
+  constructor(message, fieldErrors = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Post nominations as JSON to an HTTP endpoint.
+ * The endpoint answers 2xx with a JSON body on success, or 422 with
+ * `{ "errors": { "field": "message" } }` when it rejects fields.
+ * @param {string} endpoint - URL to POST to
+ * @param {Function} fetchImpl - fetch implementation (defaults to window.fetch)
+ * @returns {Object} - Adapter
+ */
+export function createFetchAdapter(endpoint, fetchImpl = (...args) => window.fetch(...args)) {
+  return {
+    async submit(nomination) {
+      let response;
+      try {
+        response = await fetchImpl(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify(nomination)
+        });
+      } catch (error) {
+        throw new SubmissionError('We could not reach the server. Please check your connection and try again.');
+      }
+
+      const body = await response.json().catch(() => ({}));
+
+      if (response.status === 422) {
+        throw new SubmissionError(body.message || 'Please correct the highlighted fields.', body.errors || {});
+      }
+      if (!response.ok) {
+        throw new SubmissionError(body.message || 'Something went wrong. Please try again later.');
+      }
+
+      return body;
+    }
+  };
+}
+
+/**
+ * Open the visitor's email app with the nomination addressed to `address`,
+ * for static hosting without a backend. The nomination is sent once the
+ * visitor sends the message.
+ * @param {string} address - Email address nominations go to
+ * @param {Function} openUrl - Opens the mailto: URL (defaults to navigating to it)
+ * @returns {Object} - Adapter
+ */
+export function createMailtoAdapter(address, openUrl = url => { window.location.href = url; }) {
+  return {
+    submit(nomination) {
+      const subject = `Nomination: ${nomination.productName || nomination.nomineeName || 'Cyber UXcellence Awards'}`;
+      const body = Object.entries(nomination)
+        .map(([field, value]) => `${field}: ${Array.isArray(value) ? value.join(', ') : value}`)
+        .join('\n');
+
+      openUrl(`mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`);
+      // Opening the email app sends nothing yet, so the form keeps its values
+      return Promise.resolve({
+        id: null,
+        sent: false,
+        message: 'Your email app has opened with the nomination filled in. Send the message there, then choose "I\'ve sent the email".'
+      });
+    }
+  };
+}
+
+/**
+ * Adapter used when no endpoint is configured: the nomination is not sent
+ * anywhere, so the rest of the form can still be tried out
+ * @returns {Object} - Adapter
+ */
+export function createConsoleAdapter() {
+  return {
+    submit(nomination) {
+      console.warn('No nomination endpoint configured; the nomination was not sent.', nomination);
+      return Promise.resolve({ id: null });
+    }
+  };
+}
+
+/**
+ * Pick the adapter for a configured endpoint
+ * @param {string} endpoint - mailto: address, URL to POST to, or '' for none
+ * @returns {Object} - Adapter
+ */
+export function createSubmissionAdapter(endpoint) {
+  if (!endpoint) return createConsoleAdapter();
+  if (endpoint.startsWith('mailto:')) return createMailtoAdapter(endpoint.slice('mailto:'.length).split('?')[0]);
+  return createFetchAdapter(endpoint);
+}
@@ -0,0 +1,61 @@
+import { DOM } from '../../core/scripts/utils.js';
+import { Theme } from '../../core/scripts/theme.js';
+
+export function initThemeToggle({ on, cleanup }) {
+  const toggle = DOM.byId('theme-toggle');
+  if (!toggle) return;
+  
+  const button = DOM.queryFirst('.theme-toggle-button', toggle);
+  const icon = DOM.queryFirst('i', button);
+  const menu = DOM.byId('theme-options');
+  const options = Array.from(DOM.query('[data-theme-option]', menu));
+  
+  // Themes and their media queries are rendered from content/themes.json
+  Theme.init({
+    themes: options
+      .filter(option => option.dataset.themeOption !== 'system')
+      .map(option => ({ id: option.dataset.themeOption, media: option.dataset.themeMedia || null })),
+    defaultPreference: toggle.dataset.themeDefault
+  });
+  
+  // Mark the chosen option and show its icon on the button
+  function sync() {
+    const preference = Theme.preference();
+    options.forEach(option => {
+      const chosen = option.dataset.themeOption === preference;
+      option.setAttribute('aria-pressed', chosen);
+      if (chosen) {
+        icon.className = `fas ${option.dataset.themeIcon}`;
+        button.setAttribute('aria-label', `Colour theme: ${option.textContent.trim()}`);
+      }
+    });
+  }
+  
+  function setOpen(isOpen, { focus = false } = {}) {
+    menu.hidden = !isOpen;
+    button.setAttribute('aria-expanded', isOpen);
+    if (focus) button.focus();
+  }
+  
+  on(button, 'click', () => setOpen(menu.hidden));
+  
+  on(options, 'click', event => {
+    Theme.set(event.currentTarget.dataset.themeOption);
+    setOpen(false, { focus: true });
+  });
+  
+  // Close when clicking elsewhere or pressing Escape
+  on(document, 'click', event => {
+    if (!menu.hidden && !toggle.contains(event.target)) setOpen(false);
+  });
+  on(toggle, 'keydown', event => {
+    if (event.key === 'Escape' && !menu.hidden) {
+      event.stopPropagation();
+      setOpen(false, { focus: true });
+    }
+  });
+  
+  cleanup(Theme.onChange(sync));
+  cleanup(() => setOpen(false));
+  sync();
+}
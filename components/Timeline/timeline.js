@@ -0,0 +1,76 @@
+import { DOM, Utils } from '../../core/scripts/utils.js';
+import { Clock } from '../../core/scripts/clock.js';
+
+// Date format for milestones whose time of day matters (content/timeline.json `showTime`)
+const WITH_TIME = { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+
+function formatMilestone(item) {
+  return Utils.formatDate(item.date, item.showTime ? WITH_TIME : {});
+}
+
+export function initTimeline({ root, cleanup }) {
+  const timeline = root || DOM.byId('timeline');
+  if (!timeline) return;
+  
+  const countdown = DOM.queryFirst('.timeline-countdown', timeline);
+  const units = Array.from(DOM.query('[data-countdown-unit]', countdown));
+  const items = Array.from(DOM.query('.timeline-item', timeline)).map(element => {
+    const time = DOM.queryFirst('time', element);
+    return {
+      element,
+      time,
+      title: DOM.queryFirst('.timeline-title', element).textContent.trim(),
+      date: new Date(time.getAttribute('datetime')),
+      showTime: time.dataset.showTime === 'true'
+    };
+  });
+  let next = null;
+  let cancelNext = null;
+  
+  // The build writes dates in the organisers' timezone; show them in the visitor's
+  items.forEach(item => {
+    item.time.textContent = formatMilestone(item);
+  });
+  
+  function renderCountdown(now) {
+    if (!next) return;
+    
+    const remaining = Clock.remaining(next.date, now);
+    units.forEach(unit => {
+      const value = remaining[unit.dataset.countdownUnit];
+      unit.textContent = unit.dataset.countdownUnit === 'days' ? value : String(value).padStart(2, '0');
+    });
+  }
+  
+  // Mark past and current phases and count down to the next milestone
+  function update() {
+    const now = Clock.now();
+    let current = -1;
+    items.forEach((item, index) => {
+      if (item.date.getTime() <= now) current = index;
+    });
+    
+    items.forEach((item, index) => {
+      item.element.classList.toggle('is-past', index < current);
+      item.element.classList.toggle('is-current', index === current);
+      if (index === current) item.element.setAttribute('aria-current', 'step');
+      else item.element.removeAttribute('aria-current');
+    });
+    
+    next = items[current + 1] || null;
+    countdown.hidden = next === null;
+    if (next) {
+      DOM.queryFirst('[data-countdown-title]', countdown).textContent = next.title;
+      DOM.queryFirst('[data-countdown-date]', countdown).textContent = formatMilestone(next);
+      renderCountdown(now);
+      cancelNext = Clock.at(next.date, update);
+    }
+  }
+  
+  update();
+  cleanup(Clock.everySecond(renderCountdown));
+  cleanup(() => {
+    if (cancelNext) cancelNext();
+    countdown.hidden = true;
+  });
+}
@@ -0,0 +1,158 @@
+/**
+ * Wall-clock scheduling for countdowns and deadlines.
+ *
+ * One shared timer ticks on whole seconds while the page is visible, and
+ * deadlines are checked again whenever the page becomes visible, since
+ * browsers throttle timers in background tabs. `?now=2027-01-01T00:00` in
+ * the URL previews the site at another moment.
+ */
+
+import { Utils } from './utils.js';
+
+// setTimeout fires immediately for delays above this (about 24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+const secondListeners = new Set();
+const deadlines = new Set();
+let ticker = null;
+let listening = false;
+let offset = null;
+
+// Difference between the preview time and the real time, read once
+function previewOffset() {
+  if (offset === null) {
+    const preview = Utils.getQueryParams().now;
+    const time = preview ? Date.parse(preview) : NaN;
+    offset = Number.isNaN(time) ? 0 : time - Date.now();
+  }
+  return offset;
+}
+
+function tick() {
+  const now = Clock.now();
+  secondListeners.forEach(listener => listener(now));
+}
+
+// Tick at the start of each second so displays change together
+function startTicking() {
+  if (ticker !== null || secondListeners.size === 0 || document.hidden) return;
+
+  const schedule = () => {
+    ticker = setTimeout(() => {
+      tick();
+      schedule();
+    }, MS_PER_SECOND - (Clock.now() % MS_PER_SECOND));
+  };
+  schedule();
+}
+
+function stopTicking() {
+  clearTimeout(ticker);
+  ticker = null;
+}
+
+function handleVisibility() {
+  if (document.hidden) {
+    stopTicking();
+    return;
+  }
+
+  // Catch up on whatever passed while the tab was in the background
+  deadlines.forEach(deadline => deadline.check());
+  tick();
+  startTicking();
+}
+
+function listen() {
+  if (listening) return;
+  listening = true;
+  document.addEventListener('visibilitychange', handleVisibility);
+}
+
+export const Clock = {
+  /**
+   * Current time in ms, shifted when previewing with ?now=
+   * @returns {number}
+   */
+  now: () => Date.now() + previewOffset(),
+
+  /**
+   * Call `listener` with the current time at every whole second while the page is visible
+   * @param {Function} listener
+   * @param {Object} options
+   * @param {boolean} options.immediate - Also call it right away
+   * @returns {Function} - Unsubscribes the listener
+   */
+  everySecond: (listener, { immediate = false } = {}) => {
+    listen();
+    secondListeners.add(listener);
+    if (immediate) listener(Clock.now());
+    startTicking();
+
+    return () => {
+      secondListeners.delete(listener);
+      if (secondListeners.size === 0) stopTicking();
+    };
+  },
+
+  /**
+   * Call `callback` once when `time` is reached, straight away if it has passed
+   * @param {Date|string|number} time - The moment to wait for
+   * @param {Function} callback
+   * @returns {Function} - Cancels the callback
+   */
+  at: (time, callback) => {
+    const target = new Date(time).getTime();
+    if (Number.isNaN(target)) {
+      throw new Error(`Invalid time: ${time}`);
+    }
+
+    listen();
+    let timer = null;
+    const deadline = {
+      check: () => {
+        clearTimeout(timer);
+        const delay = target - Clock.now();
+        if (delay <= 0) {
+          deadlines.delete(deadline);
+          callback();
+        } else {
+          // Long waits are split up; check() runs again when each part ends
+          timer = setTimeout(deadline.check, Math.min(delay, MAX_TIMEOUT));
+        }
+      }
+    };
+
+    deadlines.add(deadline);
+    deadline.check();
+
+    return () => {
+      clearTimeout(timer);
+      deadlines.delete(deadline);
+    };
+  },
+
+  /**
+   * Time left until `time`, never negative. Partial seconds count as a whole
+   * one, so a countdown only shows zero once the moment has arrived.
+   * @param {Date|string|number} time - Target time
+   * @param {number} now - Current time in ms
+   * @returns {Object} - { total (ms), days, hours, minutes, seconds }
+   */
+  remaining: (time, now = Clock.now()) => {
+    const total = Math.max(0, new Date(time).getTime() - now);
+    const rounded = Math.ceil(total / MS_PER_SECOND) * MS_PER_SECOND;
+    return {
+      total,
+      days: Math.floor(rounded / MS_PER_DAY),
+      hours: Math.floor((rounded % MS_PER_DAY) / MS_PER_HOUR),
+      minutes: Math.floor((rounded % MS_PER_HOUR) / MS_PER_MINUTE),
+      seconds: Math.floor((rounded % MS_PER_MINUTE) / MS_PER_SECOND)
+    };
+  }
+};
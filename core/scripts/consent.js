@@ -0,0 +1,135 @@
+/**
+ * Category-based cookie consent.
+ *
+ * Choices are stored with the policy version they were given for and
+ * expire after a set number of days; either change asks the visitor again.
+ * Scripts gated at build time (<script type="text/plain" data-consent="...">)
+ * are started as soon as their category is granted.
+ */
+
+export const STORAGE_KEY = 'cookieConsent';
+
+const listeners = new Set();
+let settings = { version: 1, expiryDays: 365, categories: ['necessary'], required: ['necessary'] };
+let state = null;
+
+// Read the stored choice, ignoring old formats, other versions and expired entries
+function readState() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+  
+  if (!stored || typeof stored !== 'object' || stored.version !== settings.version) return null;
+  if (Date.now() - stored.timestamp > settings.expiryDays * 24 * 60 * 60 * 1000) return null;
+  return stored;
+}
+
+function writeState(granted) {
+  state = { version: settings.version, timestamp: Date.now(), granted };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    // The choice still applies to this page view
+  }
+}
+
+// Swap each gated placeholder for a real script so the browser runs it
+function activateScripts() {
+  document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(placeholder => {
+    if (!Consent.has(placeholder.getAttribute('data-consent'))) return;
+    
+    const script = document.createElement('script');
+    Array.from(placeholder.attributes).forEach(({ name, value }) => {
+      if (!['type', 'data-type', 'data-src', 'data-consent'].includes(name)) {
+        script.setAttribute(name, value);
+      }
+    });
+    if (placeholder.dataset.type) script.type = placeholder.dataset.type;
+    if (placeholder.dataset.src) {
+      script.src = placeholder.dataset.src;
+      // Keep document order between scripts that depend on each other
+      script.async = placeholder.hasAttribute('async');
+    } else {
+      script.textContent = placeholder.textContent;
+    }
+    placeholder.replaceWith(script);
+  });
+}
+
+export const Consent = {
+  /**
+   * Configure the manager and start any scripts already consented to
+   * @param {Object} options
+   * @param {number} options.version - Consent policy version; bump it to ask everyone again
+   * @param {number} options.expiryDays - Days a choice is remembered
+   * @param {string[]} options.categories - Every category id
+   * @param {string[]} options.required - Categories that are always granted
+   */
+  init: (options = {}) => {
+    settings = Object.assign({}, settings, options);
+    state = readState();
+    if (state) activateScripts();
+  },
+  
+  /**
+   * Whether the visitor has made a choice that is still valid
+   * @returns {boolean}
+   */
+  hasDecided: () => state !== null,
+  
+  /**
+   * Check whether a category is granted
+   * @param {string} category - Category id
+   * @returns {boolean}
+   */
+  has: (category) => settings.required.includes(category) ||
+    Boolean(state && state.granted.includes(category)),
+  
+  /**
+   * Grant exactly the given categories (plus the required ones)
+   * @param {string[]} categories - Category ids to grant
+   */
+  set: (categories) => {
+    const previous = state ? state.granted : [];
+    const granted = settings.categories.filter(category =>
+      settings.required.includes(category) || categories.includes(category));
+    
+    writeState(granted);
+    activateScripts();
+    listeners.forEach(listener => listener({ granted, previous }));
+    
+    // Scripts that already ran cannot be stopped, so a withdrawal takes a reload
+    if (previous.some(category => !granted.includes(category))) {
+      window.location.reload();
+    }
+  },
+  
+  /**
+   * Grant every category
+   */
+  acceptAll: () => Consent.set(settings.categories),
+  
+  /**
+   * Grant only the required categories
+   */
+  rejectAll: () => Consent.set([]),
+  
+  /**
+   * Currently granted categories
+   * @returns {string[]}
+   */
+  granted: () => settings.categories.filter(category => Consent.has(category)),
+  
+  /**
+   * Subscribe to consent changes; listeners receive { granted, previous }
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribes the listener
+   */
+  onChange: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
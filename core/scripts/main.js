@@ -3,19 +3,10 @@
  * Orchestrates component initialization and global functionality
  */
 
-// Component initialization map
-const componentInitializers = {
-  // Core components
-  header: typeof initHeader === 'function' ? initHeader : null,
-  hero: typeof initHero === 'function' ? initHero : null,
-  about: typeof initAbout === 'function' ? initAbout : null,
-  categories: typeof initCategories === 'function' ? initCategories : null,
-  whyNominate: typeof initWhyNominate === 'function' ? initWhyNominate : null,
-  timeline: typeof initTimeline === 'function' ? initTimeline : null,
-  faq: typeof initFAQ === 'function' ? initFAQ : null,
-  nominationForm: typeof initNominationForm === 'function' ? initNominationForm : null,
-  footer: typeof initFooter === 'function' ? initFooter : null
-};
+import { components } from '@components';
+import { Components } from './registry.js';
+import { Modal } from './modal.js';
+import { ScrollService } from './scroll.js';
 
 // Initialize all components
 document.addEventListener('DOMContentLoaded', function() {
@@ -30,43 +21,40 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
   
-  // Initialize each component if its initializer exists
-  Object.entries(componentInitializers).forEach(([name, initializer]) => {
-    if (typeof initializer === 'function') {
-      try {
-        initializer();
-        console.log(`Initialized ${name} component`);
-      } catch (error) {
-        console.error(`Error initializing ${name} component:`, error);
-      }
-    }
+  // Register every component; lazy ones wait until they approach the viewport
+  Object.entries(components).forEach(([name, definition]) => {
+    Components.register(name, definition);
   });
+  Components.start();
+  
+  // Debug handle: CyberUX.components.list() shows each component's status
+  window.CyberUX = {
+    components: Components,
+    mounted: () => Components.mounted()
+  };
   
   // Initialize global elements
   initBackToTop();
-  initCookieConsent();
-  initModalHandlers();
+  Modal.init();
   
   // Update copyright year
   updateCopyrightYear();
+  
+  registerServiceWorker();
 });
 
 /**
  * Initialize the back-to-top button functionality
  */
-function initBackToTop() {
+export function initBackToTop() {
   const backToTopBtn = document.getElementById('back-to-top');
   
   if (!backToTopBtn) return;
   
   // Show/hide button based on scroll position
-  window.addEventListener('scroll', function() {
-    if (window.scrollY > 300) {
-      backToTopBtn.classList.add('visible');
-    } else {
-      backToTopBtn.classList.remove('visible');
-    }
-  });
+  ScrollService.onScroll(({ y }) => {
+    backToTopBtn.classList.toggle('visible', y > 300);
+  }, { immediate: true });
   
   // Scroll to top when clicked
   backToTopBtn.addEventListener('click', function(e) {
@@ -79,103 +67,26 @@ function initBackToTop() {
 }
 
 /**
- * Initialize the cookie consent banner functionality
+ * Register the service worker build.js writes next to the pages, which
+ * keeps the site and the nomination form available offline
  */
-function initCookieConsent() {
-  const cookieConsent = document.getElementById('cookie-consent');
-  const acceptBtn = document.getElementById('cookie-accept');
-  const declineBtn = document.getElementById('cookie-decline');
-  
-  if (!cookieConsent) return;
-  
-  // Check if user has already made a choice
-  if (localStorage.getItem('cookieConsent') === 'accepted' || 
-      localStorage.getItem('cookieConsent') === 'declined') {
-    cookieConsent.style.display = 'none';
-    return;
-  }
-  
-  // Show the consent banner
-  cookieConsent.style.display = 'block';
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
   
-  // Handle accept
-  if (acceptBtn) {
-    acceptBtn.addEventListener('click', function() {
-      localStorage.setItem('cookieConsent', 'accepted');
-      cookieConsent.style.display = 'none';
-      
-      // Here you would initialize any tracking that requires consent
+  // Registering after load keeps the precache downloads out of the first render
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
     });
-  }
-  
-  // Handle decline
-  if (declineBtn) {
-    declineBtn.addEventListener('click', function() {
-      localStorage.setItem('cookieConsent', 'declined');
-      cookieConsent.style.display = 'none';
-    });
-  }
-}
-
-/**
- * Initialize modal functionality
- */
-function initModalHandlers() {
-  const nominationModal = document.getElementById('nomination-modal');
-  if (!nominationModal) return;
-  
-  // Get all elements that can open the nomination modal
-  const modalOpeners = document.querySelectorAll('[id^="open-nomination-modal"]');
-  const modalClose = nominationModal.querySelector('.modal-close');
-  const modalBackdrop = nominationModal.querySelector('.modal-backdrop');
-  
-  // Open modal
-  modalOpeners.forEach(opener => {
-    opener.addEventListener('click', function() {
-      nominationModal.classList.add('active');
-      document.body.style.overflow = 'hidden';
-    });
-  });
-  
-  // Close modal
-  if (modalClose) {
-    modalClose.addEventListener('click', closeModal);
-  }
-  
-  // Close on backdrop click
-  if (modalBackdrop) {
-    modalBackdrop.addEventListener('click', closeModal);
-  }
-  
-  // Close on escape key
-  document.addEventListener('keydown', function(e) {
-    if (e.key === 'Escape' && nominationModal.classList.contains('active')) {
-      closeModal();
-    }
   });
-  
-  function closeModal() {
-    nominationModal.classList.remove('active');
-    document.body.style.overflow = '';
-  }
 }
 
 /**
  * Update the copyright year in the footer
  */
-function updateCopyrightYear() {
+export function updateCopyrightYear() {
   const yearElement = document.getElementById('current-year');
   if (yearElement) {
     yearElement.textContent = new Date().getFullYear();
   }
 }
-
-// Export functionality for potential use by other scripts
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { 
-    initBackToTop, 
-    initCookieConsent, 
-    initModalHandlers, 
-    updateCopyrightYear 
-  };
-}
\ No newline at end of file
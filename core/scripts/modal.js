@@ -0,0 +1,194 @@
+/**
+ * Modal dialogs declared in markup:
+ *
+ *   <div class="modal" id="nomination-modal" data-modal role="dialog" aria-modal="true">
+ *     <div class="modal-backdrop" data-modal-close></div>
+ *     <div class="modal-dialog">...<button data-modal-close>Close</button></div>
+ *   </div>
+ *   <button data-modal-open="nomination-modal">Nominate</button>
+ *
+ * Modals stack: opening one from inside another keeps both open, and
+ * Escape, focus trapping and scroll locking always apply to the top one.
+ */
+
+import { DOM } from './utils.js';
+import { ScrollLock } from './scroll-lock.js';
+
+const FOCUSABLE = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+// Open modals, bottom to top: { element, returnFocus }
+const stack = [];
+const listeners = { open: new Set(), close: new Set() };
+let initialized = false;
+
+// Resolve an id or element to a modal element
+function resolve(modal) {
+  const element = typeof modal === 'string' ? DOM.byId(modal) : modal;
+  if (!element || !element.hasAttribute('data-modal')) {
+    throw new Error(`Unknown modal: ${typeof modal === 'string' ? modal : modal && modal.id}`);
+  }
+  return element;
+}
+
+function focusableIn(element) {
+  return Array.from(DOM.query(FOCUSABLE, element))
+    .filter(candidate => !candidate.hidden && !candidate.closest('[hidden]') && candidate.getClientRects().length > 0);
+}
+
+function emit(type, element, trigger) {
+  const detail = { id: element.id, modal: element, trigger: trigger || null };
+  element.dispatchEvent(new CustomEvent(`modal:${type}`, { bubbles: true, detail }));
+  listeners[type].forEach(listener => listener(detail));
+}
+
+function topModal() {
+  return stack.length > 0 ? stack[stack.length - 1].element : null;
+}
+
+// Keep Tab and Shift+Tab inside the top modal
+function trapFocus(event) {
+  const element = topModal();
+  if (!element) return;
+  
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    Modal.close(element);
+    return;
+  }
+  if (event.key !== 'Tab') return;
+  
+  const focusable = focusableIn(element);
+  if (focusable.length === 0) {
+    event.preventDefault();
+    element.focus();
+    return;
+  }
+  
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (event.shiftKey && (document.activeElement === first || !element.contains(document.activeElement))) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (document.activeElement === last || !element.contains(document.activeElement))) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+// Opener and closer clicks are delegated so dialogs added later work too
+function handleClick(event) {
+  const opener = event.target.closest('[data-modal-open]');
+  if (opener) {
+    event.preventDefault();
+    Modal.open(opener.getAttribute('data-modal-open'), { trigger: opener });
+    return;
+  }
+  
+  const closer = event.target.closest('[data-modal-close]');
+  const element = closer && closer.closest('[data-modal]');
+  if (element) {
+    event.preventDefault();
+    Modal.close(element);
+  }
+}
+
+export const Modal = {
+  /**
+   * Set up every [data-modal] dialog and start listening for openers,
+   * closers and keyboard input. Safe to call more than once.
+   */
+  init: () => {
+    DOM.query('[data-modal]').forEach(element => {
+      if (!element.hasAttribute('role')) element.setAttribute('role', 'dialog');
+      element.setAttribute('aria-modal', 'true');
+      if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+      if (!element.classList.contains('active')) element.setAttribute('aria-hidden', 'true');
+    });
+    
+    if (initialized) return;
+    initialized = true;
+    document.addEventListener('click', handleClick);
+    document.addEventListener('keydown', trapFocus);
+  },
+  
+  /**
+   * Open a modal on top of any that are already open
+   * @param {string|HTMLElement} modal - Modal id or element
+   * @param {Object} options
+   * @param {HTMLElement} options.trigger - Element that opened it; focus returns here on close
+   */
+  open: (modal, { trigger } = {}) => {
+    const element = resolve(modal);
+    if (Modal.isOpen(element)) return;
+    
+    stack.push({ element, returnFocus: trigger || document.activeElement });
+    element.classList.add('active');
+    element.removeAttribute('aria-hidden');
+    ScrollLock.lock(element);
+    
+    const autofocus = DOM.queryFirst('[autofocus]', element);
+    const target = autofocus || focusableIn(element)[0] || element;
+    target.focus();
+    
+    emit('open', element, trigger);
+  },
+  
+  /**
+   * Close a modal (and any opened on top of it)
+   * @param {string|HTMLElement} modal - Modal id or element; defaults to the top modal
+   */
+  close: (modal) => {
+    const element = modal ? resolve(modal) : topModal();
+    const index = stack.findIndex(entry => entry.element === element);
+    if (index === -1) return;
+    
+    // Close from the top down so focus returns through each layer
+    while (stack.length > index) {
+      const { element: closing, returnFocus } = stack.pop();
+      closing.classList.remove('active');
+      closing.setAttribute('aria-hidden', 'true');
+      ScrollLock.unlock(closing);
+      
+      if (returnFocus && typeof returnFocus.focus === 'function' && document.contains(returnFocus)) {
+        returnFocus.focus();
+      }
+      emit('close', closing);
+    }
+  },
+  
+  /**
+   * Check whether a modal is open
+   * @param {string|HTMLElement} modal - Modal id or element
+   * @returns {boolean}
+   */
+  isOpen: (modal) => {
+    const element = resolve(modal);
+    return stack.some(entry => entry.element === element);
+  },
+  
+  /**
+   * Subscribe to every modal opening or closing. Listeners receive
+   * { id, modal, trigger }; the same detail is dispatched on the modal
+   * element as a bubbling `modal:open` / `modal:close` event.
+   * @param {string} type - 'open' or 'close'
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribes the listener
+   */
+  on: (type, listener) => {
+    if (!listeners[type]) {
+      throw new Error(`Unknown modal event: ${type}`);
+    }
+    listeners[type].add(listener);
+    return () => listeners[type].delete(listener);
+  }
+};
@@ -0,0 +1,189 @@
+/**
+ * In-page navigation: scroll-spy highlighting, header-aware smooth
+ * scrolling and URL hash history for links to sections on the same page.
+ */
+
+import { DOM } from './utils.js';
+import { ScrollService } from './scroll.js';
+
+// Share of the viewport below the header in which a section counts as current
+const SPY_ZONE = 0.45;
+
+// Wait after the last resize before measuring the header again
+const RESIZE_DELAY = 200;
+
+let links = [];
+let header = null;
+let observer = null;
+let currentId = null;
+let resizeTimer = null;
+const visible = new Set();
+
+function prefersReducedMotion() {
+  return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function headerHeight() {
+  return header ? header.getBoundingClientRect().height : 0;
+}
+
+// The section a link points at, if it is on this page
+function targetOf(link) {
+  const url = new URL(link.href, window.location.href);
+  if (url.pathname !== window.location.pathname || !url.hash) return null;
+  return DOM.byId(decodeURIComponent(url.hash.slice(1)));
+}
+
+// Document position of a section, below the fixed header
+function offsetOf(section) {
+  return Math.max(0, section.getBoundingClientRect().top + window.scrollY - headerHeight());
+}
+
+function scrollToY(top, smooth) {
+  window.scrollTo({ top, behavior: smooth && !prefersReducedMotion() ? 'smooth' : 'auto' });
+}
+
+// Mark the link for `id` as current and keep the hash in step
+function setCurrent(id) {
+  if (id === currentId) return;
+  currentId = id;
+  
+  links.forEach(({ link, section }) => {
+    const isCurrent = section.id === id;
+    link.classList.toggle('active', isCurrent);
+    if (isCurrent) link.setAttribute('aria-current', 'location');
+    else link.removeAttribute('aria-current');
+  });
+  
+  // Replace rather than push: scrolling should not fill the history
+  const url = id ? `#${id}` : `${window.location.pathname}${window.location.search}`;
+  history.replaceState(Object.assign({}, history.state, { section: id }), '', url);
+}
+
+// Pick the first section, in page order, inside the spy zone
+function updateCurrent() {
+  const inZone = links.find(({ section }) => visible.has(section));
+  if (inZone) {
+    setCurrent(inZone.section.id);
+  } else if (window.scrollY < offsetOf(links[0].section)) {
+    // Above the first section (the hero) nothing is current
+    setCurrent(null);
+  }
+}
+
+function observe() {
+  if (observer) observer.disconnect();
+  visible.clear();
+  
+  const top = Math.round(headerHeight());
+  observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) visible.add(entry.target);
+      else visible.delete(entry.target);
+    });
+    updateCurrent();
+  }, { rootMargin: `-${top}px 0px -${Math.round((1 - SPY_ZONE) * 100)}% 0px` });
+  
+  links.forEach(({ section }) => observer.observe(section));
+}
+
+function handleClick(event, section) {
+  if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+    return;
+  }
+  event.preventDefault();
+  Navigation.scrollTo(section.id);
+}
+
+// Back and forward restore the position each entry was left at
+function handlePopState(event) {
+  const state = event.state || {};
+  if (typeof state.scrollY === 'number') {
+    scrollToY(state.scrollY, false);
+  } else if (window.location.hash) {
+    const section = DOM.byId(decodeURIComponent(window.location.hash.slice(1)));
+    if (section) scrollToY(offsetOf(section), false);
+  }
+}
+
+export const Navigation = {
+  /**
+   * Start tracking the sections that `linkElements` point to
+   * @param {Object} options
+   * @param {NodeList|HTMLElement[]} options.links - Navigation links
+   * @param {HTMLElement} options.header - Fixed header whose height offsets scrolling
+   * @returns {Function} - Stops tracking and removes every listener
+   */
+  init: ({ links: linkElements, header: headerElement }) => {
+    header = headerElement || null;
+    links = Array.from(linkElements)
+      .map(link => ({ link, section: targetOf(link) }))
+      .filter(({ section }) => section !== null);
+    
+    if (links.length === 0) return () => {};
+    
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+    
+    const disposers = links.map(({ link, section }) =>
+      DOM.on(link, 'click', event => handleClick(event, section)));
+    disposers.push(DOM.on(window, 'popstate', handlePopState));
+    // The header shrinks once scrolled, so the spy zone is measured again on resize
+    disposers.push(ScrollService.onResize(() => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(observe, RESIZE_DELAY);
+    }));
+    
+    if ('IntersectionObserver' in window) {
+      observe();
+    }
+    
+    // The browser's own jump to a hash ignores the fixed header
+    const initial = window.location.hash && DOM.byId(decodeURIComponent(window.location.hash.slice(1)));
+    if (initial) {
+      scrollToY(offsetOf(initial), false);
+    }
+    
+    return () => {
+      disposers.forEach(dispose => dispose());
+      clearTimeout(resizeTimer);
+      resizeTimer = null;
+      if (observer) observer.disconnect();
+      observer = null;
+      visible.clear();
+      links.forEach(({ link }) => {
+        link.classList.remove('active');
+        link.removeAttribute('aria-current');
+      });
+      links = [];
+      currentId = null;
+    };
+  },
+  
+  /**
+   * Scroll to a section below the header and add a history entry for it
+   * @param {string} id - Section id
+   */
+  scrollTo: (id) => {
+    const section = DOM.byId(id);
+    if (!section) return;
+    
+    // Remember where this entry was left so Back returns there
+    history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), '');
+    
+    const top = offsetOf(section);
+    history.pushState({ section: id, scrollY: top }, '', `#${id}`);
+    scrollToY(top, true);
+    
+    // Move keyboard focus without a second jump
+    if (!section.hasAttribute('tabindex')) section.setAttribute('tabindex', '-1');
+    section.focus({ preventScroll: true });
+  },
+  
+  /**
+   * Id of the section currently marked as active
+   * @returns {string|null}
+   */
+  current: () => currentId
+};
@@ -0,0 +1,215 @@
+/**
+ * Component lifecycle registry.
+ *
+ * Every component is registered with an init function (and optionally a
+ * destroy function). Init receives a context whose `on` and `cleanup`
+ * helpers record everything the component sets up, so destroying the
+ * component removes its listeners and subscriptions without it having to
+ * keep track of them itself. Lazy components are only initialised once
+ * their root element approaches the viewport.
+ */
+
+import { DOM } from './utils.js';
+
+// How far outside the viewport a lazy component starts initialising
+const LAZY_MARGIN = '200px 0px';
+
+// Status values reported for each component
+export const STATUS = {
+  REGISTERED: 'registered',
+  PENDING: 'pending',
+  MOUNTED: 'mounted',
+  FAILED: 'failed',
+  DESTROYED: 'destroyed'
+};
+
+const entries = new Map();
+const statusListeners = new Set();
+let observer = null;
+
+function setStatus(entry, status, error = null) {
+  entry.status = status;
+  entry.error = error;
+  statusListeners.forEach(listener => listener({ name: entry.name, status, error }));
+}
+
+function resolveRoot(entry) {
+  if (!entry.root) return null;
+  return typeof entry.root === 'string' ? DOM.queryFirst(entry.root) : entry.root;
+}
+
+// Context handed to init(); collects teardown work
+function createContext(entry) {
+  const disposers = [];
+  entry.disposers = disposers;
+  
+  return {
+    name: entry.name,
+    root: resolveRoot(entry),
+    
+    // DOM.on that is undone when the component is destroyed
+    on: (elements, event, callback, options) => {
+      const off = DOM.on(elements, event, callback, options);
+      disposers.push(off);
+      return off;
+    },
+    
+    // Run `dispose` when the component is destroyed (e.g. an unsubscribe function)
+    cleanup: (dispose) => {
+      if (typeof dispose === 'function') disposers.push(dispose);
+    }
+  };
+}
+
+function lazyObserver() {
+  if (!observer) {
+    observer = new IntersectionObserver(records => {
+      records.forEach(record => {
+        if (!record.isIntersecting) return;
+        observer.unobserve(record.target);
+        entries.forEach(entry => {
+          if (entry.status === STATUS.PENDING && resolveRoot(entry) === record.target) {
+            Components.mount(entry.name);
+          }
+        });
+      });
+    }, { rootMargin: LAZY_MARGIN });
+  }
+  return observer;
+}
+
+export const Components = {
+  /**
+   * Register a component
+   * @param {string} name - Component name
+   * @param {Object} definition
+   * @param {Function} definition.init - Called with { name, root, on, cleanup }; may return a teardown function
+   * @param {Function} definition.destroy - Optional extra teardown
+   * @param {boolean} definition.lazy - Wait until the root element nears the viewport
+   * @param {string|HTMLElement} definition.root - Root element or selector
+   */
+  register: (name, { init, destroy = null, lazy = false, root = null }) => {
+    if (entries.has(name)) {
+      throw new Error(`Component "${name}" is already registered`);
+    }
+    if (typeof init !== 'function') {
+      throw new Error(`Component "${name}" needs an init function`);
+    }
+    entries.set(name, { name, init, destroy, lazy, root, status: STATUS.REGISTERED, error: null, disposers: [] });
+  },
+  
+  /**
+   * Mount every registered component: eager ones now, lazy ones when
+   * their root element approaches the viewport
+   */
+  start: () => {
+    entries.forEach(entry => {
+      if (entry.status !== STATUS.REGISTERED) return;
+      
+      const root = resolveRoot(entry);
+      if (entry.lazy && root && 'IntersectionObserver' in window) {
+        setStatus(entry, STATUS.PENDING);
+        lazyObserver().observe(root);
+      } else {
+        Components.mount(entry.name);
+      }
+    });
+  },
+  
+  /**
+   * Initialise a component now. Errors are caught and reported so one
+   * broken component does not stop the others.
+   * @param {string} name - Component name
+   * @returns {boolean} - Whether it mounted
+   */
+  mount: (name) => {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`Unknown component "${name}"`);
+    if (entry.status === STATUS.MOUNTED) return true;
+    
+    const root = resolveRoot(entry);
+    if (root && observer) observer.unobserve(root);
+    
+    try {
+      const teardown = entry.init(createContext(entry));
+      if (typeof teardown === 'function') entry.disposers.push(teardown);
+      setStatus(entry, STATUS.MOUNTED);
+      console.log(`Initialized ${name} component`);
+      return true;
+    } catch (error) {
+      console.error(`Error initializing ${name} component:`, error);
+      // Undo whatever was set up before the error
+      Components.destroy(name);
+      setStatus(entry, STATUS.FAILED, error);
+      return false;
+    }
+  },
+  
+  /**
+   * Tear a component down: its destroy function runs, then every listener
+   * and subscription recorded through its context is removed
+   * @param {string} name - Component name
+   */
+  destroy: (name) => {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`Unknown component "${name}"`);
+    
+    let failure = null;
+    const run = dispose => {
+      try {
+        dispose();
+      } catch (error) {
+        failure = failure || error;
+      }
+    };
+    
+    if (entry.status === STATUS.MOUNTED && entry.destroy) run(entry.destroy);
+    entry.disposers.splice(0).reverse().forEach(run);
+    
+    if (failure) {
+      console.error(`Error destroying ${name} component:`, failure);
+      setStatus(entry, STATUS.FAILED, failure);
+    } else {
+      setStatus(entry, STATUS.DESTROYED);
+    }
+  },
+  
+  /**
+   * Destroy and mount a component again
+   * @param {string} name - Component name
+   * @returns {boolean} - Whether it mounted
+   */
+  remount: (name) => {
+    Components.destroy(name);
+    return Components.mount(name);
+  },
+  
+  /**
+   * Status of every component
+   * @returns {Object[]} - [{ name, status, lazy, error }]
+   */
+  list: () => Array.from(entries.values()).map(({ name, status, lazy, error }) => ({
+    name,
+    status,
+    lazy,
+    error: error ? error.message : null
+  })),
+  
+  /**
+   * Names of the components that are currently mounted
+   * @returns {string[]}
+   */
+  mounted: () => Array.from(entries.values())
+    .filter(entry => entry.status === STATUS.MOUNTED)
+    .map(entry => entry.name),
+  
+  /**
+   * Subscribe to status changes; listeners receive { name, status, error }
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribes the listener
+   */
+  onStatus: (listener) => {
+    statusListeners.add(listener);
+    return () => statusListeners.delete(listener);
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Page scroll locking shared by everything that covers the page
+ * (modals, the mobile menu). The page stays locked until every owner
+ * has released it, so closing one overlay never unlocks another.
+ */
+
+const owners = new Set();
+let savedStyles = null;
+
+export const ScrollLock = {
+  /**
+   * Lock page scrolling on behalf of an owner
+   * @param {*} owner - Anything that identifies the caller (a string or an element)
+   */
+  lock: (owner) => {
+    if (owners.size === 0) {
+      const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+      savedStyles = {
+        overflow: document.body.style.overflow,
+        paddingRight: document.body.style.paddingRight
+      };
+      document.body.style.overflow = 'hidden';
+      // Keep the layout from shifting when the scrollbar disappears
+      if (scrollbarWidth > 0) {
+        document.body.style.paddingRight = `${scrollbarWidth}px`;
+      }
+    }
+    owners.add(owner);
+  },
+  
+  /**
+   * Release an owner's lock; scrolling resumes once no owners are left
+   * @param {*} owner - The value passed to lock()
+   */
+  unlock: (owner) => {
+    if (!owners.delete(owner) || owners.size > 0) return;
+    
+    document.body.style.overflow = savedStyles.overflow;
+    document.body.style.paddingRight = savedStyles.paddingRight;
+    savedStyles = null;
+  },
+  
+  /**
+   * Check whether anything holds the lock
+   * @returns {boolean}
+   */
+  isLocked: () => owners.size > 0
+};
@@ -0,0 +1,121 @@
+/**
+ * Shared scroll and resize handling. Components subscribe here instead of
+ * adding their own window listeners: the service listens once (passively),
+ * reads the scroll position once per animation frame and hands every
+ * subscriber the same snapshot.
+ */
+
+// Movements smaller than this keep the previous direction
+const DIRECTION_THRESHOLD = 4;
+
+const scrollListeners = new Set();
+const resizeListeners = new Set();
+let listening = false;
+let frame = null;
+let pendingScroll = false;
+let pendingResize = false;
+let snapshot = null;
+
+function read(previous) {
+  const now = performance.now();
+  const y = window.scrollY;
+  const delta = previous ? y - previous.y : 0;
+  const elapsed = previous ? now - previous.time : 0;
+  
+  let direction = previous ? previous.direction : null;
+  if (Math.abs(delta) >= DIRECTION_THRESHOLD) {
+    direction = delta > 0 ? 'down' : 'up';
+  }
+  
+  return {
+    x: window.scrollX,
+    y,
+    direction,
+    // Pixels per millisecond; positive when scrolling down
+    velocity: elapsed > 0 ? delta / elapsed : 0,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    time: now
+  };
+}
+
+function notify(listeners, state) {
+  listeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('Scroll listener failed:', error);
+    }
+  });
+}
+
+// One read and one round of callbacks per frame, however many events fired
+function tick() {
+  frame = null;
+  snapshot = read(snapshot);
+  
+  if (pendingResize) notify(resizeListeners, snapshot);
+  if (pendingScroll) notify(scrollListeners, snapshot);
+  pendingScroll = false;
+  pendingResize = false;
+}
+
+function schedule() {
+  if (frame === null) frame = requestAnimationFrame(tick);
+}
+
+function handleScroll() {
+  pendingScroll = true;
+  schedule();
+}
+
+function handleResize() {
+  pendingResize = true;
+  // Content reflows on resize, which can move the scroll position too
+  pendingScroll = true;
+  schedule();
+}
+
+function listen() {
+  if (listening) return;
+  listening = true;
+  window.addEventListener('scroll', handleScroll, { passive: true });
+  window.addEventListener('resize', handleResize, { passive: true });
+}
+
+function subscribe(listeners, listener, immediate) {
+  listen();
+  listeners.add(listener);
+  if (immediate) listener(ScrollService.state());
+  return () => listeners.delete(listener);
+}
+
+export const ScrollService = {
+  /**
+   * Call `listener` at most once per frame while the page scrolls.
+   * Listeners receive { x, y, direction: 'up'|'down'|null, velocity, width, height }.
+   * @param {Function} listener
+   * @param {Object} options
+   * @param {boolean} options.immediate - Also call it right away with the current state
+   * @returns {Function} - Unsubscribes the listener
+   */
+  onScroll: (listener, { immediate = false } = {}) => subscribe(scrollListeners, listener, immediate),
+  
+  /**
+   * Call `listener` at most once per frame while the viewport is resized
+   * @param {Function} listener
+   * @param {Object} options
+   * @param {boolean} options.immediate - Also call it right away with the current state
+   * @returns {Function} - Unsubscribes the listener
+   */
+  onResize: (listener, { immediate = false } = {}) => subscribe(resizeListeners, listener, immediate),
+  
+  /**
+   * The latest snapshot, read now if nothing has been read yet
+   * @returns {Object}
+   */
+  state: () => {
+    if (!snapshot) snapshot = read(null);
+    return snapshot;
+  }
+};
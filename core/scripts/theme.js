@@ -0,0 +1,121 @@
+/**
+ * Colour theme switching.
+ *
+ * The inline bootstrap build.js adds to <head> applies the saved theme
+ * before the first paint; this module takes over from there. The visitor's
+ * preference is either a theme id or "system", which follows the first
+ * theme whose media query matches (e.g. prefers-color-scheme: dark) and
+ * updates when the system setting changes.
+ */
+
+// Must match THEME_STORAGE_KEY in lib/themes.js
+export const STORAGE_KEY = 'theme';
+
+export const SYSTEM = 'system';
+
+const listeners = new Set();
+let themes = [];
+let fallback = null;
+let preference = SYSTEM;
+let queries = [];
+// What listeners were last told about
+let applied = { theme: null, preference: null };
+
+function readPreference(defaultPreference) {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return defaultPreference;
+  }
+
+  return stored === SYSTEM || themes.some(theme => theme.id === stored) ? stored : defaultPreference;
+}
+
+function writePreference(value) {
+  try {
+    localStorage.setItem(STORAGE_KEY, value);
+  } catch (error) {
+    // The theme still applies to this page view
+  }
+}
+
+// The theme the system settings ask for
+function systemTheme() {
+  const match = queries.find(({ query }) => query.matches);
+  return match ? match.id : fallback;
+}
+
+function apply() {
+  const theme = Theme.current();
+  const root = document.documentElement;
+
+  root.setAttribute('data-theme', theme);
+  root.setAttribute('data-theme-preference', preference);
+
+  if (theme === applied.theme && preference === applied.preference) return;
+  applied = { theme, preference };
+  listeners.forEach(listener => listener({ theme, preference }));
+}
+
+function handleSystemChange() {
+  if (preference === SYSTEM) apply();
+}
+
+export const Theme = {
+  /**
+   * Read the saved preference and apply it
+   * @param {Object} options
+   * @param {Object[]} options.themes - [{ id, media }], the first one being the base theme
+   * @param {string} options.defaultPreference - Used when nothing valid is saved
+   */
+  init: ({ themes: available, defaultPreference = SYSTEM }) => {
+    queries.forEach(({ query }) => query.removeEventListener('change', handleSystemChange));
+
+    themes = available;
+    fallback = themes.length > 0 ? themes[0].id : null;
+    queries = typeof window.matchMedia === 'function'
+      ? themes.filter(theme => theme.media).map(theme => ({ id: theme.id, query: window.matchMedia(theme.media) }))
+      : [];
+    queries.forEach(({ query }) => query.addEventListener('change', handleSystemChange));
+
+    preference = readPreference(defaultPreference);
+    apply();
+  },
+
+  /**
+   * The saved preference: a theme id or "system"
+   * @returns {string}
+   */
+  preference: () => preference,
+
+  /**
+   * The theme in use
+   * @returns {string}
+   */
+  current: () => (preference === SYSTEM ? systemTheme() : preference),
+
+  /**
+   * Switch theme and remember the choice
+   * @param {string} value - A theme id or "system"
+   */
+  set: (value) => {
+    if (value !== SYSTEM && !themes.some(theme => theme.id === value)) {
+      throw new Error(`Unknown theme: ${value}`);
+    }
+
+    preference = value;
+    writePreference(value);
+    apply();
+  },
+
+  /**
+   * Subscribe to changes of the theme or the preference; listeners receive { theme, preference }
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribes the listener
+   */
+  onChange: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
@@ -3,7 +3,7 @@
  */
 
 // DOM helper functions
-const DOM = {
+export const DOM = {
   /**
    * Get an element by ID
    * @param {string} id - Element ID
@@ -72,168 +72,269 @@ const DOM = {
   
   /**
    * Add event listener to element(s)
-   * @param {HTMLElement|NodeList|Array} elements - Element(s) to add listener to
+   * @param {EventTarget|NodeList|Array} elements - Element(s), document or window to add listener to
    * @param {string} event - Event name
    * @param {Function} callback - Event callback
    * @param {Object} options - Event options
+   * @returns {Function} - Removes the listener again
    */
   on: (elements, event, callback, options = {}) => {
     if (elements instanceof NodeList || Array.isArray(elements)) {
       elements.forEach(el => el.addEventListener(event, callback, options));
-    } else if (elements instanceof HTMLElement) {
+    } else if (elements instanceof EventTarget) {
       elements.addEventListener(event, callback, options);
     }
+    return () => DOM.off(elements, event, callback, options);
   },
   
   /**
    * Remove event listener from element(s)
-   * @param {HTMLElement|NodeList|Array} elements - Element(s) to remove listener from
+   * @param {EventTarget|NodeList|Array} elements - Element(s), document or window to remove listener from
    * @param {string} event - Event name
    * @param {Function} callback - Event callback
+   * @param {Object} options - Options the listener was added with (only `capture` matters)
    */
-  off: (elements, event, callback) => {
+  off: (elements, event, callback, options = {}) => {
     if (elements instanceof NodeList || Array.isArray(elements)) {
-      elements.forEach(el => el.removeEventListener(event, callback));
-    } else if (elements instanceof HTMLElement) {
-      elements.removeEventListener(event, callback);
+      elements.forEach(el => el.removeEventListener(event, callback, options));
+    } else if (elements instanceof EventTarget) {
+      elements.removeEventListener(event, callback, options);
     }
   }
 };
 
-// Animation helper functions
-const Animation = {
+// Animations end on their own after this long past their expected duration,
+// in case the browser never reports them finished (hidden or detached elements)
+const ANIMATION_TIMEOUT_MARGIN = 100;
+
+// Keyframe keys that are not style properties
+const KEYFRAME_META = ['offset', 'easing', 'composite'];
+
+// The cancel function of the animation running on each element
+const runningAnimations = new WeakMap();
+
+function animationOptions(options) {
+  return typeof options === 'number' ? { duration: options } : options;
+}
+
+// Write a keyframe's values to the element's inline style
+function applyKeyframe(element, keyframe) {
+  Object.entries(keyframe).forEach(([prop, value]) => {
+    if (!KEYFRAME_META.includes(prop)) element.style[prop] = value;
+  });
+}
+
+// Clear inline styles that were only needed while animating
+function clearStyles(element, props) {
+  props.forEach(prop => {
+    element.style[prop] = '';
+  });
+}
+
+const SLIDE_PROPS = ['height', 'paddingTop', 'paddingBottom', 'marginTop', 'marginBottom'];
+
+// Animation helper functions. Every animation returns a promise that always
+// settles: true once the element reached its end state, false if the
+// animation was cancelled through `options.signal` (an AbortSignal) or
+// replaced by another animation on the same element.
+export const Animation = {
+  /**
+   * Whether the user asked for reduced motion; animations then jump to their end state
+   * @returns {boolean}
+   */
+  prefersReducedMotion: () =>
+    typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+  
   /**
-   * Animate an element with CSS transitions
+   * Animate an element with the Web Animations API. The last keyframe is
+   * written to the inline style when the animation ends, so the element
+   * keeps its end state without `fill: forwards`.
    * @param {HTMLElement} element - Element to animate
-   * @param {Object} properties - CSS properties to animate
-   * @param {number} duration - Animation duration in ms
-   * @param {string} easing - CSS easing function
-   * @returns {Promise} - Promise that resolves when animation is complete
+   * @param {Object[]} keyframes - Keyframes, e.g. [{ opacity: 0 }, { opacity: 1 }]
+   * @param {Object|number} options - Duration in ms, or options:
+   * @param {number} options.duration - Duration in ms (default 300)
+   * @param {string} options.easing - CSS easing function (default 'ease')
+   * @param {number} options.delay - Delay in ms before starting
+   * @param {AbortSignal} options.signal - Cancels the animation when aborted
+   * @returns {Promise<boolean>} - Resolves true when finished, false when cancelled
    */
-  transition: (element, properties, duration = 300, easing = 'ease') => {
+  animate: (element, keyframes, options = {}) => {
+    const { duration = 300, easing = 'ease', delay = 0, signal = null } = animationOptions(options);
+    const finalFrame = keyframes[keyframes.length - 1] || {};
+    
+    // A newer animation on the same element wins
+    const previous = runningAnimations.get(element);
+    if (previous) previous();
+    
+    if (signal && signal.aborted) return Promise.resolve(false);
+    
+    if (typeof element.animate !== 'function' || Animation.prefersReducedMotion()) {
+      applyKeyframe(element, finalFrame);
+      return Promise.resolve(true);
+    }
+    
     return new Promise(resolve => {
-      element.style.transition = `all ${duration}ms ${easing}`;
-      
-      // Set properties
-      Object.entries(properties).forEach(([prop, value]) => {
-        element.style[prop] = value;
-      });
+      const animation = element.animate(keyframes, { duration, easing, delay });
+      let timer = null;
       
-      // Listen for transition end
-      const onTransitionEnd = () => {
-        element.removeEventListener('transitionend', onTransitionEnd);
-        resolve();
+      const settle = (completed) => {
+        if (runningAnimations.get(element) === cancel) runningAnimations.delete(element);
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', cancel);
+        animation.onfinish = null;
+        
+        if (completed) applyKeyframe(element, finalFrame);
+        animation.cancel();
+        resolve(completed);
       };
       
-      element.addEventListener('transitionend', onTransitionEnd);
+      const cancel = () => settle(false);
+      
+      runningAnimations.set(element, cancel);
+      animation.onfinish = () => settle(true);
+      timer = setTimeout(() => settle(true), delay + duration + ANIMATION_TIMEOUT_MARGIN);
+      if (signal) signal.addEventListener('abort', cancel);
     });
   },
   
+  /**
+   * Animate CSS properties from their current values
+   * @param {HTMLElement} element - Element to animate
+   * @param {Object} properties - CSS properties to animate
+   * @param {Object|number} options - Duration in ms, or options as for `animate`
+   * @param {string} easing - CSS easing function, when `options` is a duration
+   * @returns {Promise<boolean>} - Resolves true when finished, false when cancelled
+   */
+  transition: (element, properties, options = 300, easing = 'ease') => {
+    const computed = window.getComputedStyle(element);
+    const from = {};
+    Object.keys(properties).forEach(prop => {
+      from[prop] = computed[prop];
+    });
+    
+    return Animation.animate(element, [from, properties], { easing, ...animationOptions(options) });
+  },
+  
   /**
    * Fade in an element
    * @param {HTMLElement} element - Element to fade in
-   * @param {number} duration - Animation duration in ms
-   * @returns {Promise} - Promise that resolves when animation is complete
+   * @param {Object|number} options - Duration in ms, or options as for `animate`
+   * @returns {Promise<boolean>} - Resolves true when finished, false when cancelled
    */
-  fadeIn: (element, duration = 300) => {
-    element.style.opacity = '0';
+  fadeIn: (element, options = 300) => {
     element.style.display = 'block';
     
-    // Force reflow
-    void element.offsetWidth;
-    
-    return Animation.transition(element, { opacity: '1' }, duration);
+    return Animation.animate(element, [{ opacity: 0 }, { opacity: 1 }], options).then(completed => {
+      if (completed) element.style.opacity = '';
+      return completed;
+    });
   },
   
   /**
-   * Fade out an element
+   * Fade out an element, then hide it
    * @param {HTMLElement} element - Element to fade out
-   * @param {number} duration - Animation duration in ms
-   * @returns {Promise} - Promise that resolves when animation is complete
+   * @param {Object|number} options - Duration in ms, or options as for `animate`
+   * @returns {Promise<boolean>} - Resolves true when finished, false when cancelled
    */
-  fadeOut: (element, duration = 300) => {
-    return Animation.transition(element, { opacity: '0' }, duration)
-      .then(() => {
+  fadeOut: (element, options = 300) => {
+    const from = window.getComputedStyle(element).opacity;
+    
+    return Animation.animate(element, [{ opacity: from }, { opacity: 0 }], options).then(completed => {
+      if (completed) {
         element.style.display = 'none';
-      });
+        element.style.opacity = '';
+      }
+      return completed;
+    });
   },
   
   /**
    * Slide down an element
    * @param {HTMLElement} element - Element to slide down
-   * @param {number} duration - Animation duration in ms
-   * @returns {Promise} - Promise that resolves when animation is complete
+   * @param {Object|number} options - Duration in ms, or options as for `animate`
+   * @returns {Promise<boolean>} - Resolves true when finished, false when cancelled
    */
-  slideDown: (element, duration = 300) => {
-    element.style.overflow = 'hidden';
-    element.style.height = '0';
-    element.style.paddingTop = '0';
-    element.style.paddingBottom = '0';
-    element.style.marginTop = '0';
-    element.style.marginBottom = '0';
+  slideDown: (element, options = 300) => {
     element.style.display = 'block';
     
-    // Get target height
-    const height = element.scrollHeight;
+    const computed = window.getComputedStyle(element);
+    const open = { height: `${element.scrollHeight}px` };
+    SLIDE_PROPS.slice(1).forEach(prop => {
+      open[prop] = computed[prop];
+    });
     
-    // Force reflow
-    void element.offsetWidth;
+    element.style.overflow = 'hidden';
     
-    // Animate
-    return Animation.transition(
-      element, 
-      { 
-        height: `${height}px`,
-        paddingTop: '',
-        paddingBottom: '',
-        marginTop: '',
-        marginBottom: ''
-      }, 
-      duration
-    ).then(() => {
-      element.style.height = '';
-      element.style.overflow = '';
+    return Animation.animate(
+      element,
+      [
+        { height: '0px', paddingTop: '0px', paddingBottom: '0px', marginTop: '0px', marginBottom: '0px' },
+        open
+      ],
+      options
+    ).then(completed => {
+      if (completed) clearStyles(element, [...SLIDE_PROPS, 'overflow']);
+      return completed;
     });
   },
   
   /**
-   * Slide up an element
+   * Slide up an element, then hide it
    * @param {HTMLElement} element - Element to slide up
-   * @param {number} duration - Animation duration in ms
-   * @returns {Promise} - Promise that resolves when animation is complete
+   * @param {Object|number} options - Duration in ms, or options as for `animate`
+   * @returns {Promise<boolean>} - Resolves true when finished, false when cancelled
    */
-  slideUp: (element, duration = 300) => {
+  slideUp: (element, options = 300) => {
     element.style.overflow = 'hidden';
-    element.style.height = `${element.scrollHeight}px`;
-    
-    // Force reflow
-    void element.offsetWidth;
     
-    // Animate
-    return Animation.transition(
-      element, 
-      { 
-        height: '0',
-        paddingTop: '0',
-        paddingBottom: '0',
-        marginTop: '0',
-        marginBottom: '0'
-      }, 
-      duration
-    ).then(() => {
-      element.style.display = 'none';
-      element.style.height = '';
-      element.style.overflow = '';
-      element.style.paddingTop = '';
-      element.style.paddingBottom = '';
-      element.style.marginTop = '';
-      element.style.marginBottom = '';
+    return Animation.animate(
+      element,
+      [
+        { height: `${element.scrollHeight}px` },
+        { height: '0px', paddingTop: '0px', paddingBottom: '0px', marginTop: '0px', marginBottom: '0px' }
+      ],
+      options
+    ).then(completed => {
+      if (completed) {
+        element.style.display = 'none';
+        clearStyles(element, [...SLIDE_PROPS, 'overflow']);
+      }
+      return completed;
     });
+  },
+  
+  /**
+   * Run animations one after another. Stops at the first one that is
+   * cancelled, or when `signal` is aborted between steps.
+   * @param {Function[]} steps - Functions that start an animation and return its promise
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops the sequence when aborted
+   * @returns {Promise<boolean>} - Resolves true when every step finished
+   */
+  sequence: async (steps, { signal = null } = {}) => {
+    for (const step of steps) {
+      if (signal && signal.aborted) return false;
+      if (!(await step())) return false;
+    }
+    return true;
+  },
+  
+  /**
+   * Start the same animation on several elements, each `interval` ms after the previous one
+   * @param {NodeList|Array} elements - Elements to animate
+   * @param {Function} animateOne - Called with (element, delay, index); returns an animation promise
+   * @param {number} interval - Delay between elements in ms
+   * @returns {Promise<boolean>} - Resolves true when every animation finished
+   * @example Animation.stagger(cards, (card, delay) => Animation.fadeIn(card, { delay, signal }), 80)
+   */
+  stagger: (elements, animateOne, interval = 50) => {
+    const animations = Array.from(elements).map((element, index) => animateOne(element, index * interval, index));
+    return Promise.all(animations).then(results => results.every(Boolean));
   }
 };
 
 // Validation helper functions
-const Validation = {
+export const Validation = {
   /**
    * Validate an email address
    * @param {string} email - Email address to validate
@@ -274,8 +375,9 @@ const Validation = {
         return;
       }
       
-      // Check required fields
-      if (field.hasAttribute('required') && !field.value.trim()) {
+      // Check required fields (a checkbox's value is set even when unchecked)
+      const isEmpty = field.type === 'checkbox' ? !field.checked : !field.value.trim();
+      if (field.hasAttribute('required') && isEmpty) {
         errors[field.name] = 'This field is required';
         isValid = false;
         return;
@@ -309,7 +411,7 @@ const Validation = {
 };
 
 // Utility functions for handling common tasks
-const Utils = {
+export const Utils = {
   /**
    * Debounce a function call
    * @param {Function} func - Function to debounce
@@ -342,22 +444,23 @@ const Utils = {
   },
   
   /**
-   * Format a date
-   * @param {Date|string} date - Date to format
-   * @param {Object} options - Intl.DateTimeFormat options
+   * Format a date in the visitor's timezone
+   * @param {Date|string|number} date - Date to format
+   * @param {Object} options - Intl.DateTimeFormat options; `dateStyle`/`timeStyle` replace the default fields
+   * @param {string} locale - Locale (defaults to the page's lang attribute)
    * @returns {string} - Formatted date
    */
-  formatDate: (date, options = {}) => {
-    const defaultOptions = { 
+  formatDate: (date, options = {}, locale = document.documentElement.lang || undefined) => {
+    const defaultOptions = options.dateStyle || options.timeStyle ? {} : {
       year: 'numeric', 
       month: 'long', 
       day: 'numeric' 
     };
     
-    const dateObj = typeof date === 'string' ? new Date(date) : date;
+    const dateObj = date instanceof Date ? date : new Date(date);
     
     return new Intl.DateTimeFormat(
-      'en-US', 
+      locale, 
       { ...defaultOptions, ...options }
     ).format(dateObj);
   },
@@ -400,8 +503,3 @@ const Utils = {
     );
   }
 };
-
-// Export all utilities
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { DOM, Animation, Validation, Utils };
-}
\ No newline at end of file
@@ -0,0 +1,241 @@
+// Build-time accessibility and markup audit of the generated pages.
+//
+// Errors are problems that break behaviour or assistive technology outright
+// (duplicate ids, references to missing elements, unnamed controls, images
+// without alt text, invalid nesting); warnings are worth fixing but do not
+// fail the build unless --strict is set (heading levels that skip).
+
+const { closest, parseHTML, walkElements } = require('./html');
+
+// Attributes holding one or more ids of other elements on the page
+const ID_REFERENCES = {
+  'aria-activedescendant': false,
+  'aria-controls': true,
+  'aria-describedby': true,
+  'aria-details': false,
+  'aria-labelledby': true,
+  'aria-owns': true,
+  for: false,
+  // Modal triggers (core/scripts/modal.js)
+  'data-modal-open': false
+};
+
+// Elements that may not appear inside a <p>
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav',
+  'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Children lists may hold besides <li>
+const LIST_SUPPORT = new Set(['li', 'script', 'template']);
+
+const HEADING = /^h([1-6])$/;
+
+function isInteractive(element) {
+  const { tag, attributes } = element;
+  if (tag === 'a') return 'href' in attributes;
+  if (tag === 'input') return attributes.type !== 'hidden';
+  return ['button', 'details', 'embed', 'iframe', 'select', 'textarea'].includes(tag) ||
+    ('tabindex' in attributes && attributes.tabindex !== '-1');
+}
+
+function describe(element) {
+  const { id, class: className } = element.attributes;
+  if (id) return `<${element.tag} id="${id}">`;
+  if (className) return `<${element.tag} class="${className}">`;
+  return `<${element.tag}>`;
+}
+
+// Text a screen reader would read for a node, leaving out aria-hidden content
+function textOf(node) {
+  if (node.type === 'text') return node.text;
+  if (node.attributes['aria-hidden'] === 'true') return '';
+  if (node.tag === 'img') return node.attributes.alt || '';
+  return node.children.map(textOf).join(' ');
+}
+
+// Accessible name of a control, following the usual precedence
+function accessibleName(element, byId) {
+  const { attributes } = element;
+  const clean = text => text.replace(/\s+/g, ' ').trim();
+
+  if (attributes['aria-labelledby']) {
+    const labelled = attributes['aria-labelledby'].split(/\s+/)
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .map(textOf)
+      .join(' ');
+    if (clean(labelled)) return clean(labelled);
+  }
+  if (clean(attributes['aria-label'] || '')) return clean(attributes['aria-label']);
+  if (element.tag === 'input') return clean(attributes.value || attributes.alt || '');
+
+  return clean(textOf(element)) || clean(attributes.title || '');
+}
+
+/**
+ * Audit one page
+ * @param {string} html - Page HTML
+ * @returns {Object[]} - Issues: { severity: 'error'|'warning', rule, message, line, column }
+ */
+function auditPage(html) {
+  const { document, errors } = parseHTML(html);
+  const issues = errors.map(({ message, line, column }) => ({ severity: 'error', rule: 'invalid-nesting', message, line, column }));
+  const report = (severity, rule, element, message) => {
+    issues.push({ severity, rule, message, line: element.line, column: element.column });
+  };
+
+  const elements = [];
+  walkElements(document, element => elements.push(element));
+
+  // Duplicate ids
+  const byId = new Map();
+  elements.forEach(element => {
+    const { id } = element.attributes;
+    if (id === undefined) return;
+    if (byId.has(id)) {
+      report('error', 'duplicate-id', element, `id "${id}" is already used by ${describe(byId.get(id))} on line ${byId.get(id).line}`);
+    } else {
+      byId.set(id, element);
+    }
+  });
+
+  elements.forEach(element => {
+    const { tag, attributes } = element;
+
+    // References to other elements
+    Object.entries(ID_REFERENCES).forEach(([name, isList]) => {
+      if (!attributes[name]) return;
+      const ids = isList ? attributes[name].split(/\s+/).filter(Boolean) : [attributes[name]];
+      ids.filter(id => !byId.has(id)).forEach(id => {
+        report('error', 'missing-target', element, `${name}="${id}" on ${describe(element)} points at no element`);
+      });
+    });
+    if ((tag === 'a' || tag === 'area') && /^#./.test(attributes.href || '')) {
+      const id = decodeURIComponent(attributes.href.slice(1));
+      if (!byId.has(id) && id !== 'top') {
+        report('error', 'missing-target', element, `href="${attributes.href}" on ${describe(element)} points at no element`);
+      }
+    }
+
+    // Images
+    if (tag === 'img' && !('alt' in attributes)) {
+      report('error', 'img-alt', element, `${describe(element)} (${attributes.src || 'no src'}) has no alt text; use alt="" for decorative images`);
+    }
+    if (tag === 'input' && attributes.type === 'image' && !attributes.alt) {
+      report('error', 'img-alt', element, `${describe(element)} is an image button without alt text`);
+    }
+
+    // Names of buttons and links
+    const role = attributes.role;
+    if (tag === 'button' || role === 'button' || (tag === 'input' && ['button', 'submit', 'reset'].includes(attributes.type))) {
+      if (!accessibleName(element, byId)) {
+        report('error', 'button-name', element, `${describe(element)} has no accessible name (text, aria-label or aria-labelledby)`);
+      }
+    } else if ((tag === 'a' && 'href' in attributes) || role === 'link') {
+      if (!accessibleName(element, byId)) {
+        report('error', 'link-name', element, `${describe(element)} has no accessible name (text, aria-label or aria-labelledby)`);
+      }
+    }
+
+    // Nesting
+    if (isInteractive(element)) {
+      const outer = closest(element, ancestor => ancestor.tag === 'a' || ancestor.tag === 'button');
+      if (outer) {
+        report('error', 'invalid-nesting', element, `${describe(element)} is interactive and cannot be inside ${describe(outer)}`);
+      }
+    }
+    if (BLOCK_ELEMENTS.has(tag)) {
+      const paragraph = closest(element, ancestor => ancestor.tag === 'p');
+      if (paragraph) {
+        report('error', 'invalid-nesting', element, `<${tag}> cannot be inside <p> (line ${paragraph.line}); browsers close the paragraph first`);
+      }
+    }
+    if (tag === 'li' && !['ul', 'ol', 'menu'].includes(element.parent.tag)) {
+      report('error', 'invalid-nesting', element, `<li> must be a child of <ul>, <ol> or <menu>, not <${element.parent.tag}>`);
+    }
+    if ((tag === 'ul' || tag === 'ol') && role === undefined) {
+      element.children
+        .filter(child => child.type === 'element' && !LIST_SUPPORT.has(child.tag))
+        .forEach(child => report('error', 'invalid-nesting', child, `<${tag}> may only contain <li>, found <${child.tag}>`));
+    }
+    if (tag === 'form' && closest(element, ancestor => ancestor.tag === 'form')) {
+      report('error', 'invalid-nesting', element, `${describe(element)} is inside another form`);
+    }
+  });
+
+  // Heading levels; dialogs have an outline of their own
+  const outlines = new Map();
+  elements.forEach(element => {
+    const level = element.tag.match(HEADING);
+    if (!level) return;
+    const dialog = closest(element, ancestor => ancestor.attributes.role === 'dialog' || ancestor.tag === 'dialog');
+    if (!outlines.has(dialog)) outlines.set(dialog, []);
+    outlines.get(dialog).push({ element, level: Number(level[1]) });
+  });
+  outlines.forEach((headings, dialog) => {
+    headings.reduce((previous, { element, level }) => {
+      if (previous === null && dialog === null && level !== 1) {
+        report('warning', 'heading-order', element, `The first heading on the page is <h${level}>; it should be <h1>`);
+      } else if (previous !== null && level > previous + 1) {
+        report('warning', 'heading-order', element, `<h${level}> follows <h${previous}>, skipping a level`);
+      }
+      return level;
+    }, null);
+  });
+  const mainHeadings = (outlines.get(null) || []).filter(({ level }) => level === 1);
+  mainHeadings.slice(1).forEach(({ element }) => {
+    report('warning', 'heading-order', element, `More than one <h1> on the page (the first is on line ${mainHeadings[0].element.line})`);
+  });
+
+  return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Audit several pages
+ * @param {Object[]} pages - [{ file, html }]
+ * @returns {Object} - JSON-ready report: { summary: { pages, errors, warnings }, pages: [{ file, errors, warnings, issues }] }
+ */
+function auditPages(pages) {
+  const results = pages.map(({ file, html }) => {
+    const issues = auditPage(html);
+    return {
+      file,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      issues
+    };
+  });
+
+  return {
+    summary: {
+      pages: results.length,
+      errors: results.reduce((sum, page) => sum + page.errors, 0),
+      warnings: results.reduce((sum, page) => sum + page.warnings, 0)
+    },
+    pages: results
+  };
+}
+
+// Print the audit; returns { errors, warnings } counts
+function printAuditReport(report, log = console) {
+  report.pages.forEach(page => {
+    page.issues.forEach(({ severity, rule, message, line, column }) => {
+      const print = severity === 'error' ? log.error : log.warn;
+      print(`  ${page.file}:${line}:${column} ${severity} ${rule}: ${message}`);
+    });
+  });
+
+  const { pages, errors, warnings } = report.summary;
+  log.log(`  Audited ${pages} page${pages === 1 ? '' : 's'}: ${errors} error${errors === 1 ? '' : 's'}, ` +
+    `${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  auditPage,
+  auditPages,
+  printAuditReport
+};
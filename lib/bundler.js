@@ -0,0 +1,572 @@
+const fs = require('fs');
+const path = require('path');
+
+// A small ES module bundler for the site scripts. Each module is wrapped in
+// its own function scope, imports become lookups in a shared module table,
+// and top-level declarations nobody uses are dropped.
+//
+// It relies on the repo's formatting conventions: top-level statements start
+// at column 0 and nested code is indented.
+
+// Virtual module exposing every component's init function
+const COMPONENTS_MODULE = '@components';
+
+class BundleError extends Error {
+  constructor(message, file, line) {
+    super(line ? `${message} (${file}:${line})` : `${message} (${file})`);
+    this.name = 'BundleError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+// A slash starts a regular expression when it cannot be a division
+function startsRegExp(code, index) {
+  let i = index - 1;
+  while (i >= 0 && /\s/.test(code[i])) i--;
+  if (i < 0) return true;
+  const before = code.slice(Math.max(0, i - 10), i + 1);
+  if (/(?:^|[^\w$])(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/.test(before)) {
+    return true;
+  }
+  return '(,=:[!&|?{};+-*%<>~^'.includes(code[i]);
+}
+
+// Walk the code, calling visit(index, state, depth) before each character.
+// `state` is "code" outside strings, comments, templates and regexps.
+function walkCode(code, visit) {
+  const templates = [];
+  let state = 'code';
+  let depth = 0;
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    const next = code[i + 1];
+
+    if (char === '\n') {
+      if (state === 'line-comment') state = 'code';
+      visit(i, state, depth);
+      continue;
+    }
+    visit(i, state, depth);
+
+    switch (state) {
+      case 'code':
+        if (char === '/' && next === '/') { state = 'line-comment'; i++; }
+        else if (char === '/' && next === '*') { state = 'block-comment'; i++; }
+        else if (char === '\'' || char === '"') state = char;
+        else if (char === '`') state = 'template';
+        else if (char === '/' && startsRegExp(code, i)) state = 'regexp';
+        else if ('({['.includes(char)) depth++;
+        else if (char === '}' && templates.length > 0 && templates[templates.length - 1] === depth) {
+          templates.pop();
+          state = 'template';
+        } else if (')}]'.includes(char)) depth--;
+        break;
+      case 'block-comment':
+        if (char === '*' && next === '/') { state = 'code'; i++; }
+        break;
+      case '\'':
+      case '"':
+        if (char === '\\') i++;
+        else if (char === state) state = 'code';
+        break;
+      case 'template':
+        if (char === '\\') i++;
+        else if (char === '`') state = 'code';
+        else if (char === '$' && next === '{') { templates.push(depth); state = 'code'; i++; }
+        break;
+      case 'regexp':
+        if (char === '\\') i++;
+        else if (char === '[') state = 'regexp-class';
+        else if (char === '/') state = 'code';
+        break;
+      case 'regexp-class':
+        if (char === '\\') i++;
+        else if (char === ']') state = 'regexp';
+        break;
+    }
+  }
+}
+
+// Record, for every line, whether it starts in plain code and at what
+// bracket depth
+function scanLines(code) {
+  const lines = [{ inCode: true, depth: 0 }];
+  walkCode(code, (index, state, depth) => {
+    if (code[index] === '\n') lines.push({ inCode: state === 'code', depth });
+  });
+  return lines;
+}
+
+// Split a module into top-level statements. Leading comments stay with the
+// statement they describe.
+function splitStatements(code) {
+  const lines = code.split('\n');
+  const states = scanLines(code);
+  const statements = [];
+  let pendingComments = [];
+  let current = null;
+
+  lines.forEach((text, index) => {
+    const { inCode, depth } = states[index];
+    const startsStatement = inCode && depth === 0 && /^[^\s})\]]/.test(text);
+    const isComment = startsStatement && /^(\/\/|\/\*)/.test(text);
+
+    if (isComment) {
+      current = null;
+      pendingComments.push(index);
+      return;
+    }
+    if (startsStatement) {
+      current = { lines: pendingComments.concat(index) };
+      pendingComments = [];
+      statements.push(current);
+      return;
+    }
+    if (current) {
+      current.lines.push(index);
+    } else if (pendingComments.length > 0 && text.trim() !== '') {
+      // Continuation of a multi-line leading comment
+      pendingComments.push(index);
+    }
+  });
+
+  statements.forEach(statement => {
+    statement.text = statement.lines.map(index => lines[index]).join('\n');
+  });
+
+  return statements;
+}
+
+const IMPORT_PATTERN = /^import\s+([\s\S]*?)\s+from\s+(['"])([^'"]+)\2\s*;?\s*$/;
+const SIDE_EFFECT_IMPORT_PATTERN = /^import\s*(['"])([^'"]+)\1\s*;?\s*$/;
+const DECLARATION_PATTERN = /^(export\s+(?:default\s+)?)?(?:async\s+)?(function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/;
+const EXPORT_LIST_PATTERN = /^export\s*\{([^}]*)\}\s*;?\s*$/;
+const EXPORT_DEFAULT_PATTERN = /^export\s+default\s+/;
+
+// Parse "a, b as c" lists used by import and export statements
+function parseSpecifiers(list) {
+  return list.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const [imported, local] = item.split(/\s+as\s+/);
+    return { imported: imported.trim(), local: (local || imported).trim() };
+  });
+}
+
+// Names declared by a const, let or var statement: one per declarator, or
+// null when a declarator destructures
+function declaratorNames(body) {
+  const list = body.replace(/^(?:export\s+)?(?:const|let|var)\s+/, '');
+  const starts = [0];
+  let end = list.length;
+
+  walkCode(list, (index, state, depth) => {
+    if (state !== 'code' || depth !== 0 || index >= end) return;
+    if (list[index] === ',') starts.push(index + 1);
+    else if (list[index] === ';') end = index;
+  });
+
+  const names = starts.filter(start => start < end).map(start => {
+    const match = list.slice(start, end).match(/^\s*([A-Za-z_$][\w$]*)\s*(?:=|$)/);
+    return match && match[1];
+  });
+  return names.every(Boolean) ? names : null;
+}
+
+function parseImportClause(clause, file, line) {
+  const specifiers = [];
+  const named = clause.match(/\{([\s\S]*)\}/);
+  const namespace = clause.match(/\*\s+as\s+([A-Za-z_$][\w$]*)/);
+  const defaultName = clause.replace(/\{[\s\S]*\}/, '').replace(/\*\s+as\s+[\w$]+/, '').replace(/,/g, '').trim();
+
+  if (named) specifiers.push(...parseSpecifiers(named[1]));
+  if (namespace) specifiers.push({ imported: '*', local: namespace[1] });
+  if (defaultName) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(defaultName)) {
+      throw new BundleError(`Cannot parse import "${clause}"`, file, line);
+    }
+    specifiers.push({ imported: 'default', local: defaultName });
+  }
+
+  return specifiers;
+}
+
+// Read a module's imports, exports and top-level declarations
+function parseModule(id, file, code) {
+  const sourceLines = code.split('\n');
+  const statements = splitStatements(code).map(statement => {
+    const firstCodeLine = statement.lines.find(index => !/^\s*(\/\/|\/\*|\*)/.test(sourceLines[index]));
+    const body = statement.text.split('\n').slice(statement.lines.indexOf(firstCodeLine)).join('\n');
+    const line = firstCodeLine + 1;
+    const result = Object.assign(statement, { line, declares: [], exports: [], importFrom: null, specifiers: [] });
+
+    // import './x.js' runs the module for its side effects and binds nothing
+    const sideEffectImport = body.match(SIDE_EFFECT_IMPORT_PATTERN);
+    if (sideEffectImport) {
+      result.importFrom = sideEffectImport[2];
+      return result;
+    }
+
+    const importMatch = body.match(IMPORT_PATTERN);
+    if (body.startsWith('import ')) {
+      if (!importMatch) throw new BundleError('Cannot parse import statement', file, line);
+      result.importFrom = importMatch[3];
+      result.specifiers = parseImportClause(importMatch[1], file, line);
+      return result;
+    }
+
+    const exportList = body.match(EXPORT_LIST_PATTERN);
+    if (exportList) {
+      result.exports = parseSpecifiers(exportList[1]).map(({ imported, local }) => ({ local: imported, exported: local }));
+      result.exportList = true;
+      return result;
+    }
+
+    const declaration = body.match(DECLARATION_PATTERN);
+    if (declaration) {
+      const isVariable = ['const', 'let', 'var'].includes(declaration[2]);
+      const names = isVariable ? declaratorNames(body) : [declaration[3]];
+      if (!names) {
+        if (declaration[1]) throw new BundleError('Cannot export a destructuring declaration', file, line);
+        // Destructuring is kept as if it had side effects
+        return result;
+      }
+      result.declares.push(...names);
+      if (declaration[1]) {
+        const isDefault = EXPORT_DEFAULT_PATTERN.test(body);
+        names.forEach(name => result.exports.push({ local: name, exported: isDefault ? 'default' : name }));
+      }
+      return result;
+    }
+
+    if (EXPORT_DEFAULT_PATTERN.test(body)) {
+      result.declares.push('__default');
+      result.exports.push({ local: '__default', exported: 'default' });
+      result.defaultExpression = true;
+      return result;
+    }
+
+    if (body.startsWith('export ')) {
+      throw new BundleError('Unsupported export statement', file, line);
+    }
+
+    return result;
+  });
+
+  const exports = {};
+  statements.forEach(statement => {
+    statement.exports.forEach(({ local, exported }) => {
+      exports[exported] = local;
+    });
+  });
+
+  return {
+    id,
+    file,
+    code,
+    statements,
+    exports,
+    imports: statements.filter(statement => statement.importFrom)
+  };
+}
+
+// Resolve an import specifier to a module id (a path relative to the root)
+function resolveSpecifier(specifier, fromFile, root) {
+  if (specifier === COMPONENTS_MODULE) {
+    return COMPONENTS_MODULE;
+  }
+  if (!specifier.startsWith('.')) {
+    throw new Error(`Only relative imports and "${COMPONENTS_MODULE}" are supported, found "${specifier}"`);
+  }
+
+  let file = path.resolve(path.dirname(fromFile), specifier);
+  if (!fs.existsSync(file) && fs.existsSync(`${file}.js`)) {
+    file = `${file}.js`;
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Cannot find module "${specifier}"`);
+  }
+
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+function toCamelCase(name) {
+  return name.replace(/[-_\s]+([a-zA-Z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+// Generate the @components module: one lifecycle definition per component
+// with a script, { init, destroy, lazy, root }
+function createComponentsModule(components, modules) {
+  const entries = components.map(component => {
+    const module = modules.get(component.id);
+    const exportNamed = (name, pattern) => name || Object.keys(module.exports).find(exported => pattern.test(exported));
+    const initName = exportNamed(component.init, /^init[A-Z]/);
+    const destroyName = exportNamed(component.destroy, /^destroy[A-Z]/);
+
+    if (!initName) {
+      throw new BundleError(`Component "${component.name}" does not export an init function`, component.id);
+    }
+    [initName, destroyName].filter(Boolean).forEach(name => {
+      if (!module.exports[name]) {
+        throw new BundleError(`Component "${component.name}" does not export "${name}"`, component.id);
+      }
+    });
+
+    return {
+      key: toCamelCase(component.name),
+      id: component.id,
+      initName,
+      destroyName,
+      lazy: Boolean(component.lazy),
+      root: component.root || null
+    };
+  });
+
+  const imports = entries.map(entry => {
+    const specifiers = [`${entry.initName} as ${entry.key}`];
+    if (entry.destroyName) specifiers.push(`${entry.destroyName} as ${entry.key}Destroy`);
+    return `import { ${specifiers.join(', ')} } from ${JSON.stringify(entry.id)};`;
+  });
+  const definitions = entries.map(entry => {
+    const destroy = entry.destroyName ? `${entry.key}Destroy` : 'null';
+    return `  ${entry.key}: { init: ${entry.key}, destroy: ${destroy}, lazy: ${entry.lazy}, root: ${JSON.stringify(entry.root)} }`;
+  });
+
+  const code = imports
+    .concat(['export const components = {', definitions.join(',\n'), '};'])
+    .join('\n');
+
+  const module = parseModule(COMPONENTS_MODULE, COMPONENTS_MODULE, code);
+  // Component ids are already resolved
+  module.imports.forEach(statement => {
+    statement.resolved = statement.importFrom;
+  });
+  return module;
+}
+
+// Mark the statements each module needs, starting from the exports other
+// modules import and from statements with side effects
+function treeShake(modules, order, entryId) {
+  const used = new Map(order.map(id => [id, new Set()]));
+  used.get(entryId).add('*');
+
+  // Importers come after their dependencies, so walk backwards
+  order.slice().reverse().forEach(id => {
+    const module = modules.get(id);
+    const wanted = used.get(id);
+    const keep = new Set();
+    const declaredBy = new Map();
+
+    module.statements.forEach(statement => {
+      statement.declares.forEach(name => declaredBy.set(name, statement));
+      if (statement.importFrom) {
+        statement.specifiers.forEach(({ local }) => declaredBy.set(local, statement));
+      }
+    });
+
+    const queue = [];
+    const mark = statement => {
+      if (statement && !keep.has(statement)) {
+        keep.add(statement);
+        queue.push(statement);
+      }
+    };
+
+    module.statements.forEach(statement => {
+      const hasSideEffects = !statement.importFrom && statement.declares.length === 0 && statement.exports.length === 0;
+      const isWantedExport = statement.exports.some(({ exported }) => wanted.has('*') || wanted.has(exported));
+      if (hasSideEffects || isWantedExport) mark(statement);
+      if (statement.exports.length > 0 && statement.declares.length === 0 && isWantedExport) {
+        statement.exports.forEach(({ local }) => mark(declaredBy.get(local)));
+      }
+    });
+
+    // Follow references to other top-level names
+    while (queue.length > 0) {
+      const statement = queue.shift();
+      const words = new Set(statement.text.match(/[A-Za-z_$][\w$]*/g) || []);
+      declaredBy.forEach((declaringStatement, name) => {
+        if (words.has(name) && !statement.declares.includes(name)) mark(declaringStatement);
+      });
+    }
+
+    module.kept = keep;
+
+    // Tell dependencies which of their exports are still needed
+    const localsInUse = new Set(Array.from(keep)
+      .filter(statement => !statement.importFrom)
+      .reduce((words, statement) => words.concat(statement.text.match(/[A-Za-z_$][\w$]*/g) || []), []));
+
+    module.imports.forEach(statement => {
+      if (!keep.has(statement)) return;
+      statement.specifiers.forEach(({ imported, local }) => {
+        if (localsInUse.has(local)) used.get(statement.resolved).add(imported);
+      });
+    });
+  });
+}
+
+// Order modules so every module comes after the modules it imports
+function sortModules(modules, entryId) {
+  const order = [];
+  const state = new Map();
+
+  function visit(id, trail) {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      throw new Error(`Circular import: ${trail.concat(id).join(' -> ')}`);
+    }
+    state.set(id, 'visiting');
+    modules.get(id).imports.forEach(statement => visit(statement.resolved, trail.concat(id)));
+    state.set(id, 'done');
+    order.push(id);
+  }
+
+  visit(entryId, []);
+  return order;
+}
+
+// Source positions ({ line, column }) of an import statement's specifiers:
+// the imported name, the local name of a default import, or the "*"
+function specifierPositions(sourceLines, statement) {
+  const first = statement.line - 1;
+  const indices = statement.lines.filter(index => index >= first);
+  const text = indices.map(index => sourceLines[index]).join('\n');
+  const clause = text.slice(0, text.lastIndexOf('from'));
+
+  return statement.specifiers.map(({ imported, local }) => {
+    const name = imported === '*' ? '\\*' : (imported === 'default' ? local : imported).replace(/\$/g, '\\$');
+    // Skip the "import" keyword and the local names after "as"
+    const match = clause.slice(6).match(new RegExp(`(?<!\\bas\\s+)(?<![\\w$])${name}(?![\\w$])`));
+    if (!match) return { line: first, column: 0 };
+
+    const before = clause.slice(0, 6 + match.index).split('\n');
+    return { line: indices[before.length - 1], column: before[before.length - 1].length };
+  });
+}
+
+// Rewrite one module's kept statements as lines for the bundle. Each line
+// remembers which source position it came from so source maps stay accurate.
+function emitModule(module) {
+  const sourceLines = module.code.split('\n');
+  const output = [];
+  const lookupTable = id => `__modules[${JSON.stringify(id)}]`;
+
+  module.statements.forEach(statement => {
+    if (!module.kept.has(statement)) return;
+
+    if (statement.importFrom) {
+      if (statement.specifiers.length === 0) return;
+      const bindings = statement.specifiers.map(({ imported, local }) => {
+        if (imported === '*') return `const ${local} = ${lookupTable(statement.resolved)};`;
+        return `const ${local} = ${lookupTable(statement.resolved)}[${JSON.stringify(imported)}];`;
+      });
+      // Each binding maps to its specifier in the import statement
+      let generatedColumn = 0;
+      const segments = specifierPositions(sourceLines, statement).map(({ line, column }, index) => {
+        const segment = [generatedColumn, line, column];
+        generatedColumn += bindings[index].length + 1;
+        return segment;
+      });
+      output.push({
+        text: bindings.join(' '),
+        line: segments[0][1],
+        column: segments[0][2],
+        segments: segments.slice(1)
+      });
+      return;
+    }
+    if (statement.exportList) {
+      return;
+    }
+
+    statement.lines.forEach(index => {
+      const text = sourceLines[index];
+      if (index !== statement.line - 1 || statement.exports.length === 0) {
+        output.push({ text, line: index, column: 0 });
+        return;
+      }
+      // Drop the export keyword but keep pointing at the declaration
+      const keyword = text.match(/^export\s+(default\s+)?/)[0];
+      const declaration = statement.defaultExpression ? 'const __default = ' : '';
+      output.push({
+        text: declaration + text.slice(keyword.length),
+        line: index,
+        column: declaration ? 0 : keyword.length
+      });
+    });
+  });
+
+  // Only exports whose declarations survived tree-shaking are returned
+  const declared = new Set();
+  module.statements.filter(statement => module.kept.has(statement)).forEach(statement => {
+    statement.declares.forEach(name => declared.add(name));
+    statement.specifiers.forEach(({ local }) => declared.add(local));
+  });
+  const exported = Object.keys(module.exports)
+    .filter(name => declared.has(module.exports[name]))
+    .map(name => `${JSON.stringify(name)}: ${module.exports[name]}`);
+
+  return {
+    header: `${lookupTable(module.id)} = (function() {`,
+    lines: output,
+    footer: `return { ${exported.join(', ')} };\n})();`
+  };
+}
+
+/**
+ * Bundle the entry module, its imports and every component script into a
+ * single classic script
+ * @param {Object} options
+ * @param {string} options.entry - Path of the entry module (core/scripts/main.js)
+ * @param {Object[]} options.components - Components in dependency order; `root` is the
+ *   selector of the component's root element, used for lazy initialisation
+ * @param {string} options.root - Directory module ids are relative to
+ * @returns {Object[]} - Modules in execution order: { id, file, source, header, lines, footer }
+ */
+function bundleModules({ entry, components, root = process.cwd() }) {
+  const modules = new Map();
+
+  function load(file) {
+    const id = path.relative(root, file).split(path.sep).join('/');
+    if (modules.has(id)) return id;
+
+    const module = parseModule(id, file, fs.readFileSync(file, 'utf8'));
+    modules.set(id, module);
+
+    module.imports.forEach(statement => {
+      try {
+        statement.resolved = resolveSpecifier(statement.importFrom, file, root);
+      } catch (error) {
+        throw new BundleError(error.message, id, statement.line);
+      }
+      if (statement.resolved !== COMPONENTS_MODULE) {
+        load(path.join(root, statement.resolved));
+      }
+    });
+
+    return id;
+  }
+
+  const scriptComponents = components
+    .filter(component => component.js)
+    .map(component => Object.assign({}, component, { id: load(component.js) }));
+
+  const entryId = load(entry);
+  modules.set(COMPONENTS_MODULE, createComponentsModule(scriptComponents, modules));
+
+  const order = sortModules(modules, entryId);
+  treeShake(modules, order, entryId);
+
+  return order.map(id => {
+    const module = modules.get(id);
+    return Object.assign({ id, file: module.file, source: module.code }, emitModule(module));
+  });
+}
+
+module.exports = {
+  BundleError,
+  COMPONENTS_MODULE,
+  bundleModules,
+  splitStatements
+};
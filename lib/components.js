@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { toSlotName } = require('./slots');
+
+const MANIFEST_FILE = 'component.json';
+
+// Read a component's manifest and fill in defaults
+function readManifest(componentsDir, folder) {
+  const dir = path.join(componentsDir, folder);
+  const manifestFile = path.join(dir, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`Component "${folder}" is missing ${MANIFEST_FILE} (${manifestFile})`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${manifestFile}: ${error.message}`);
+  }
+
+  const baseName = folder.toLowerCase();
+  const resolveFile = (value, fallback) => {
+    const file = path.join(dir, value || fallback);
+    return fs.existsSync(file) ? file : null;
+  };
+
+  return {
+    name: manifest.name || baseName,
+    folder,
+    dir,
+    // `"slot": false` marks an include-only partial
+    slot: manifest.slot === false ? null : (manifest.slot || toSlotName(folder)),
+    dependencies: manifest.dependencies || [],
+    order: typeof manifest.order === 'number' ? manifest.order : 0,
+    assets: manifest.assets || [],
+    html: resolveFile(manifest.html, `${baseName}.html`),
+    css: resolveFile(manifest.css, `${baseName}.css`),
+    js: resolveFile(manifest.js, `${baseName}.js`),
+    // Exported initializer; defaults to the module's first init* export
+    init: manifest.init || null,
+    destroy: manifest.destroy || null,
+    // Initialise the script only when the root element nears the viewport
+    lazy: manifest.lazy === true,
+    // Root element selector; defaults to the id of the first element in the HTML
+    root: manifest.root || null,
+    // true scopes styles to the root element's id; a string is used as the scope selector
+    scopeStyles: manifest.scopeStyles || false
+  };
+}
+
+// Read the id and classes of the first element in a component's HTML
+function findRootElement(html) {
+  const withoutComments = html.replace(/<!--[\s\S]*?-->/g, '');
+  const tag = withoutComments.match(/<([a-zA-Z][\w-]*)\b([^>]*)>/);
+  if (!tag) return null;
+
+  const attribute = name => {
+    const match = tag[2].match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+    return match ? (match[2] !== undefined ? match[2] : match[3]) : '';
+  };
+
+  return {
+    tag: tag[1].toLowerCase(),
+    id: attribute('id'),
+    classes: attribute('class').split(/\s+/).filter(Boolean)
+  };
+}
+
+// Sort components so every component comes after its dependencies.
+// Ties are broken by `order`, then by name, so output is deterministic.
+function sortComponents(components) {
+  const byName = new Map();
+  components.forEach(component => {
+    if (byName.has(component.name)) {
+      throw new Error(`Duplicate component name "${component.name}" in ${byName.get(component.name).folder} and ${component.folder}`);
+    }
+    byName.set(component.name, component);
+  });
+
+  components.forEach(component => {
+    component.dependencies.forEach(dependency => {
+      if (!byName.has(dependency)) {
+        throw new Error(`Component "${component.name}" depends on missing component "${dependency}"`);
+      }
+    });
+  });
+
+  const compare = (a, b) => (a.order - b.order) || a.name.localeCompare(b.name);
+  const sorted = [];
+  const state = new Map(); // name -> 'visiting' | 'done'
+
+  function visit(component, trail) {
+    const status = state.get(component.name);
+    if (status === 'done') return;
+    if (status === 'visiting') {
+      const cycle = trail.slice(trail.indexOf(component.name)).concat(component.name);
+      throw new Error(`Circular component dependency: ${cycle.join(' -> ')}`);
+    }
+
+    state.set(component.name, 'visiting');
+    component.dependencies
+      .map(dependency => byName.get(dependency))
+      .sort(compare)
+      .forEach(dependency => visit(dependency, trail.concat(component.name)));
+    state.set(component.name, 'done');
+    sorted.push(component);
+  }
+
+  components.slice().sort(compare).forEach(component => visit(component, []));
+
+  return sorted;
+}
+
+// Discover every component folder and return them in dependency order
+function loadComponents(componentsDir) {
+  const folders = fs.readdirSync(componentsDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => dirent.name);
+
+  return sortComponents(folders.map(folder => readManifest(componentsDir, folder)));
+}
+
+// Read the ordered core style list and the script entry module
+function loadCoreManifest(coreDir) {
+  const manifestFile = path.join(coreDir, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+
+  if (manifest.scripts) {
+    throw new Error(`${manifestFile}: "scripts" has been replaced by an "entry" module that imports what it needs`);
+  }
+
+  return {
+    styles: (manifest.styles || []).map(file => path.join(coreDir, file)),
+    entry: manifest.entry ? path.join(coreDir, manifest.entry) : null
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  findRootElement,
+  loadComponents,
+  loadCoreManifest,
+  sortComponents
+};
@@ -0,0 +1,75 @@
+// Build-time gating of third-party scripts behind cookie consent.
+//
+// A <script> that belongs to a consent category (marked with
+// data-consent="analytics", or recognised from content/consent.json's
+// `trackers` list) is rewritten to type="text/plain" with its src moved to
+// data-src, so the browser neither runs nor downloads it. The consent
+// manager (core/scripts/consent.js) restores it once the category is granted.
+
+const SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const NOSCRIPT_PATTERN = /<noscript\b([^>]*)>([\s\S]*?)<\/noscript>/gi;
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+}
+
+function removeAttribute(attributes, name) {
+  return attributes.replace(new RegExp(`\\s${name}(\\s*=\\s*("[^"]*"|'[^']*'|[^\\s>]+))?`, 'i'), '');
+}
+
+// Work out which category, if any, a script or noscript block belongs to
+function categoryFor(attributes, body, trackers) {
+  const explicit = readAttribute(attributes, 'data-consent');
+  if (explicit !== null) return explicit;
+
+  const haystack = `${readAttribute(attributes, 'src') || ''}\n${body}`;
+  const tracker = trackers.find(({ match }) => haystack.includes(match));
+  return tracker ? tracker.category : null;
+}
+
+/**
+ * Rewrite a page so tracking scripts wait for consent
+ * @param {string} html - Page HTML
+ * @param {Object} consent - content/consent.json: { categories, trackers }
+ * @param {string} file - Page name for error messages
+ * @returns {Object} - { html, gated: [{ category, src }] }
+ */
+function gateScripts(html, consent, file) {
+  const categories = (consent.categories || []).map(category => category.id);
+  const required = (consent.categories || []).filter(category => category.required).map(category => category.id);
+  const trackers = consent.trackers || [];
+  const gated = [];
+
+  const checkCategory = category => {
+    if (!categories.includes(category)) {
+      throw new Error(`Unknown consent category "${category}" in ${file} (expected one of: ${categories.join(', ')})`);
+    }
+    return !required.includes(category);
+  };
+
+  let output = html.replace(SCRIPT_PATTERN, (tag, attributes, body) => {
+    const category = categoryFor(attributes, body, trackers);
+    if (category === null || !checkCategory(category)) return tag;
+
+    const src = readAttribute(attributes, 'src');
+    const type = readAttribute(attributes, 'type');
+    let gatedAttributes = removeAttribute(removeAttribute(removeAttribute(attributes, 'data-consent'), 'type'), 'src');
+    if (type) gatedAttributes += ` data-type="${type}"`;
+    if (src) gatedAttributes += ` data-src="${src}"`;
+
+    gated.push({ category, src });
+    return `<script type="text/plain" data-consent="${category}"${gatedAttributes}>${body}</script>`;
+  });
+
+  // Without JavaScript consent cannot be given, so tracking fallbacks are dropped
+  output = output.replace(NOSCRIPT_PATTERN, (tag, attributes, body) => {
+    const category = categoryFor(attributes, body, trackers);
+    return category !== null && checkCategory(category) ? '' : tag;
+  });
+
+  return { html: output, gated };
+}
+
+module.exports = { gateScripts };
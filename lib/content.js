@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml');
+
+const PARSERS = {
+  '.json': (source, file) => {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+    }
+  },
+  '.yaml': (source, file) => yaml.parse(source, file),
+  '.yml': (source, file) => yaml.parse(source, file)
+};
+
+// Read a single JSON or YAML content file
+function readContentFile(file) {
+  const parser = PARSERS[path.extname(file).toLowerCase()];
+  if (!parser) {
+    throw new Error(`Unsupported content file type: ${file}`);
+  }
+  return parser(fs.readFileSync(file, 'utf8'), file);
+}
+
+// Load every content file, keyed by file name without extension
+// (content/judges.json -> content.judges)
+function loadContent(contentDir) {
+  const content = {};
+  const sources = {};
+
+  if (!fs.existsSync(contentDir)) {
+    return content;
+  }
+
+  fs.readdirSync(contentDir)
+    .filter(file => PARSERS[path.extname(file).toLowerCase()])
+    .sort()
+    .forEach(file => {
+      const key = path.basename(file, path.extname(file));
+      if (sources[key]) {
+        throw new Error(`Content "${key}" is defined twice: ${sources[key]} and ${file}`);
+      }
+      sources[key] = file;
+      content[key] = readContentFile(path.join(contentDir, file));
+    });
+
+  return content;
+}
+
+module.exports = {
+  loadContent,
+  readContentFile
+};
@@ -0,0 +1,266 @@
+// Build-time helpers for component stylesheets: selector scoping and a
+// check that custom properties come from the design tokens.
+
+// At-rules whose blocks hold ordinary style rules
+const NESTING_AT_RULES = ['media', 'supports', 'container', 'layer', 'document'];
+
+// Leading whitespace and comments before a selector list
+const LEADING_TRIVIA = /^(?:\s|\/\*[\s\S]*?\*\/)*/;
+
+// Split a selector list on commas outside parentheses and brackets
+function splitSelectors(list) {
+  const selectors = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < list.length; i++) {
+    const char = list[i];
+    if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth--;
+    else if (char === ',' && depth === 0) {
+      selectors.push(list.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  selectors.push(list.slice(start));
+  return selectors;
+}
+
+// The first compound selector: everything up to the first combinator or
+// whitespace outside parentheses and brackets
+function firstCompound(selector) {
+  let depth = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth--;
+    else if (depth === 0 && /[\s>+~]/.test(char)) return selector.slice(0, i);
+  }
+  return selector;
+}
+
+// Work out how to prefix one selector with the scope. A first compound made
+// only of the root element's classes targets the root itself, so it is
+// joined to the scope instead of becoming a descendant. A bare :root, html
+// or body is replaced by the scope; one with qualifiers (:root[data-theme],
+// body.menu-open) stays, with the scope as its descendant. Returns null when
+// the selector is already scoped, otherwise { at, remove, insert }.
+function scopeSelector(selector, scope, rootClasses) {
+  const [, space, rest] = selector.match(/^(\s*)([\s\S]*)$/);
+  if (rest === '') return null;
+
+  if (rest.startsWith(scope) && !/^[\w-]/.test(rest.slice(scope.length))) {
+    return null;
+  }
+
+  const compound = firstCompound(rest);
+  const global = compound.match(/^(:root|html|body)(?![\w-])/);
+  if (global && global[0] === compound) {
+    return { at: space.length, remove: compound.length, insert: scope };
+  }
+  if (global) {
+    return { at: space.length + compound.length, remove: 0, insert: ` ${scope}` };
+  }
+
+  const classes = compound.match(/^((?:\.[\w-]+)+)/);
+  if (classes && classes[1].split('.').filter(Boolean).every(name => rootClasses.includes(name))) {
+    return { at: space.length, remove: 0, insert: scope };
+  }
+
+  return { at: space.length, remove: 0, insert: `${scope} ` };
+}
+
+/**
+ * Prefix every selector in a stylesheet with a scope selector. Line breaks
+ * are left where they are so source maps still line up.
+ * @param {string} css - Stylesheet source
+ * @param {string} scope - Selector of the component root, e.g. "#hero"
+ * @param {string[]} rootClasses - Classes on the root element
+ * @param {Array} trace - Optional array that receives [outputOffset, sourceOffset]
+ *   pairs after every insertion, in the same form the minifiers record
+ * @returns {string} - Scoped stylesheet
+ */
+function scopeCSS(css, scope, rootClasses = [], trace = null) {
+  const blocks = []; // 'rules' | 'declarations' | 'other'
+  let output = '';
+  let prelude = '';
+  let preludeStart = 0;
+
+  const inRules = () => blocks.length === 0 || blocks[blocks.length - 1] === 'rules';
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+
+    // Copy comments and strings through untouched
+    if (inRules() && prelude === '') {
+      preludeStart = i;
+    }
+
+    if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      const comment = css.slice(i, end === -1 ? css.length : end + 2);
+      if (inRules()) prelude += comment;
+      else output += comment;
+      i += comment.length - 1;
+      continue;
+    }
+    if (char === '"' || char === '\'') {
+      let end = i + 1;
+      while (end < css.length && css[end] !== char) {
+        end += css[end] === '\\' ? 2 : 1;
+      }
+      const string = css.slice(i, end + 1);
+      if (inRules()) prelude += string;
+      else output += string;
+      i = end;
+      continue;
+    }
+
+    if (!inRules()) {
+      if (char === '{') blocks.push('other');
+      if (char === '}') blocks.pop();
+      output += char;
+      continue;
+    }
+
+    if (char === '{') {
+      const trivia = prelude.match(LEADING_TRIVIA)[0];
+      const body = prelude.slice(trivia.length);
+
+      if (body.startsWith('@')) {
+        const name = body.slice(1).match(/^[\w-]*/)[0].toLowerCase();
+        blocks.push(NESTING_AT_RULES.includes(name) ? 'rules' : 'other');
+        output += prelude;
+      } else {
+        blocks.push('declarations');
+        output += trivia;
+        let sourceOffset = preludeStart + trivia.length;
+        splitSelectors(body).forEach((selector, index) => {
+          if (index > 0) {
+            output += ',';
+            sourceOffset++;
+          }
+          const change = scopeSelector(selector, scope, rootClasses);
+          if (change) {
+            output += selector.slice(0, change.at) + change.insert;
+            if (trace) trace.push([output.length, sourceOffset + change.at + change.remove]);
+            output += selector.slice(change.at + change.remove);
+          } else {
+            output += selector;
+          }
+          sourceOffset += selector.length;
+        });
+      }
+
+      output += char;
+      prelude = '';
+    } else if (char === '}') {
+      output += `${prelude}${char}`;
+      prelude = '';
+      blocks.pop();
+    } else if (char === ';') {
+      // Statement at-rules such as @import
+      output += `${prelude}${char}`;
+      prelude = '';
+    } else {
+      prelude += char;
+    }
+  }
+
+  return output + prelude;
+}
+
+// Strip comments so commented-out declarations are not counted
+function stripComments(css) {
+  return css.replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+/**
+ * Collect the custom properties a stylesheet defines and uses
+ * @param {string} css - Stylesheet source
+ * @returns {Object} - { defined: Set, used: Set }
+ */
+function findCustomProperties(css) {
+  const source = stripComments(css);
+  const defined = new Set();
+  const used = new Set();
+
+  (source.match(/(^|[{;\s])--[\w-]+\s*:/g) || []).forEach(match => {
+    defined.add(match.match(/--[\w-]+/)[0]);
+  });
+  (source.match(/var\(\s*--[\w-]+/g) || []).forEach(match => {
+    used.add(match.match(/--[\w-]+/)[0]);
+  });
+
+  return { defined, used };
+}
+
+/**
+ * Collect the custom properties markup hands to scripts in data attributes,
+ * like data-particle-colors="--color-white --color-accent"
+ * @param {string} html - Component HTML
+ * @returns {Set}
+ */
+function findAttributeTokens(html) {
+  const used = new Set();
+
+  (html.match(/\sdata-[\w-]+\s*=\s*("[^"]*"|'[^']*')/g) || []).forEach(attribute => {
+    const value = attribute.slice(attribute.indexOf('=') + 1);
+    (value.match(/(^|[\s"'(,])--[\w-]+/g) || []).forEach(match => {
+      used.add(match.match(/--[\w-]+/)[0]);
+    });
+  });
+
+  return used;
+}
+
+/**
+ * Check component stylesheets against the design tokens
+ * @param {Object} tokens - Token stylesheet: { file, css }
+ * @param {Object[]} stylesheets - Every other stylesheet: { file, css, component }
+ * @param {string[]} markup - Component HTML, whose data attributes may name tokens for scripts to read
+ * @returns {Object} - { undefinedTokens: [{ name, file }], unusedTokens: string[] }
+ */
+function checkCustomProperties(tokens, stylesheets, markup = []) {
+  const { defined: tokenNames, used: usedByTokens } = findCustomProperties(tokens.css);
+  const used = new Set(usedByTokens);
+  markup.forEach(html => findAttributeTokens(html).forEach(name => used.add(name)));
+  const undefinedTokens = [];
+
+  stylesheets.forEach(({ file, css, component }) => {
+    const properties = findCustomProperties(css);
+    properties.used.forEach(name => {
+      used.add(name);
+      // Component stylesheets may only rely on tokens or their own properties
+      if (component && !tokenNames.has(name) && !properties.defined.has(name)) {
+        undefinedTokens.push({ name, file });
+      }
+    });
+  });
+
+  return {
+    undefinedTokens,
+    unusedTokens: Array.from(tokenNames).filter(name => !used.has(name))
+  };
+}
+
+// Print the token check; returns true when undefined tokens were found
+function printTokenReport(report, log = console) {
+  report.undefinedTokens.forEach(({ name, file }) => {
+    log.warn(`  Warning: var(${name}) in ${file} is not defined in the design tokens`);
+  });
+  if (report.unusedTokens.length > 0) {
+    log.log(`  Unused design tokens: ${report.unusedTokens.join(', ')}`);
+  }
+
+  return report.undefinedTokens.length > 0;
+}
+
+module.exports = {
+  checkCustomProperties,
+  findAttributeTokens,
+  findCustomProperties,
+  printTokenReport,
+  scopeCSS
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.webmanifest': 'application/manifest+json'
+};
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+// Injected into every HTML response. Stylesheet changes are swapped in
+// place; anything else reloads the page.
+const LIVE_RELOAD_CLIENT = `
+<script>
+(function() {
+  var source = new EventSource('${LIVE_RELOAD_PATH}');
+  source.addEventListener('css', function() {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(function(link) {
+      var url = new URL(link.href);
+      if (url.origin !== location.origin) return;
+      url.searchParams.set('livereload', Date.now());
+      link.href = url.toString();
+    });
+  });
+  source.addEventListener('reload', function() {
+    location.reload();
+  });
+})();
+</script>
+`;
+
+/**
+ * Create a static file server for the build output with live reload
+ * @param {Object} options
+ * @param {string} options.root - Directory to serve
+ * @param {number} options.port - Port to listen on
+ * @param {Object} options.aliases - URL prefixes mapped to directories
+ * @param {Object} options.routes - "METHOD /path" mapped to (request, response) handlers
+ * @returns {Object} - { server, notify(type), close() }
+ */
+function createDevServer({ root, port = 3000, aliases = {}, routes = {} }) {
+  const clients = new Set();
+
+  function resolveFile(urlPath) {
+    let base = root;
+    let relative = urlPath;
+
+    Object.keys(aliases).forEach(prefix => {
+      if (urlPath.startsWith(prefix)) {
+        base = aliases[prefix];
+        relative = urlPath.slice(prefix.length - 1);
+      }
+    });
+
+    const file = path.join(base, relative);
+    // Never serve anything outside the served directory
+    if (path.relative(base, file).startsWith('..')) {
+      return null;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+      return path.join(file, 'index.html');
+    }
+    return file;
+  }
+
+  function handleLiveReload(request, response) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    response.write(': connected\n\n');
+
+    clients.add(response);
+    request.on('close', () => clients.delete(response));
+  }
+
+  const server = http.createServer((request, response) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+      // Malformed percent-encoding, such as /%E0%A4%A
+      response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(`Bad request: ${request.url}`);
+      return;
+    }
+
+    if (urlPath === LIVE_RELOAD_PATH) {
+      handleLiveReload(request, response);
+      return;
+    }
+
+    const route = routes[`${request.method} ${urlPath}`];
+    if (route) {
+      route(request, response);
+      return;
+    }
+
+    const file = resolveFile(urlPath);
+    if (!file || !fs.existsSync(file)) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(`Not found: ${urlPath}`);
+      return;
+    }
+
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    let body = fs.readFileSync(file);
+
+    if (type.startsWith('text/html')) {
+      const html = body.toString('utf8');
+      body = html.includes('</body>')
+        ? html.replace('</body>', `${LIVE_RELOAD_CLIENT}</body>`)
+        : html + LIVE_RELOAD_CLIENT;
+    }
+
+    response.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    response.end(body);
+  });
+
+  server.listen(port, () => {
+    console.log(`Serving ${root} at http://localhost:${port}`);
+  });
+
+  return {
+    server,
+
+    // Tell connected browsers to swap stylesheets ('css') or reload ('reload')
+    notify(type) {
+      clients.forEach(client => client.write(`event: ${type}\ndata: ${Date.now()}\n\n`));
+    },
+
+    close() {
+      clients.forEach(client => client.end());
+      server.close();
+    }
+  };
+}
+
+module.exports = {
+  createDevServer,
+  LIVE_RELOAD_PATH
+};
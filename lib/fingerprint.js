@@ -0,0 +1,103 @@
+// Content-hashed file names for the production bundles.
+//
+// styles.css becomes styles.3f2a1b9c.css, with its map next to it as
+// styles.3f2a1b9c.css.map, and the asset manifest records the mapping.
+// Watch builds rebuild only some outputs: a bundle that was not rebuilt
+// keeps its hashed file from the previous build, and pages that still name
+// a bundle's previous hashed file are moved on to the new one.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sourceMappingComment, SOURCE_MAPPING_PATTERN } = require('./sourcemap');
+
+/**
+ * Read an asset manifest
+ * @param {string} file - asset-manifest.json in the build directory
+ * @returns {Object} - Bundle name -> hashed name; empty when there is none
+ */
+function readAssetManifest(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Rename freshly built bundles to content-hashed names and remove the
+ * hashed files they replace
+ * @param {string} buildDir - Build directory
+ * @param {string[]} names - Bundles, relative to the build directory
+ * @param {Object} previous - Asset manifest of the previous build
+ * @returns {Object} - The new asset manifest, with entries for the bundles and their maps
+ */
+function fingerprintFiles(buildDir, names, previous) {
+  const manifest = {};
+
+  names.forEach(name => {
+    const file = path.join(buildDir, name);
+
+    // Without a fresh bundle, keep the previously hashed file
+    if (!fs.existsSync(file)) {
+      [name, `${name}.map`].forEach(key => {
+        if (previous[key]) manifest[key] = previous[key];
+      });
+      return;
+    }
+
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 8);
+    const extension = path.extname(name);
+    const hashedName = `${path.basename(name, extension)}.${hash}${extension}`;
+
+    // Remove the bundle from the previous build
+    if (previous[name] && previous[name] !== hashedName) {
+      [previous[name], `${previous[name]}.map`].forEach(staleName => {
+        const stale = path.join(buildDir, staleName);
+        if (fs.existsSync(stale)) fs.unlinkSync(stale);
+      });
+    }
+
+    const hashedFile = path.join(buildDir, hashedName);
+    fs.renameSync(file, hashedFile);
+    manifest[name] = hashedName;
+
+    // Move the source map alongside and point the bundle at it
+    const mapFile = `${file}.map`;
+    if (fs.existsSync(mapFile)) {
+      const map = JSON.parse(fs.readFileSync(mapFile, 'utf8'));
+      map.file = hashedName;
+      fs.writeFileSync(`${hashedFile}.map`, JSON.stringify(map));
+      fs.unlinkSync(mapFile);
+
+      const code = fs.readFileSync(hashedFile, 'utf8').replace(SOURCE_MAPPING_PATTERN, '');
+      fs.writeFileSync(hashedFile, `${code}\n${sourceMappingComment(hashedFile, `${hashedName}.map`)}\n`);
+      manifest[`${name}.map`] = `${hashedName}.map`;
+    }
+  });
+
+  return manifest;
+}
+
+/**
+ * Point a page's bundle URLs at their hashed names. Only quoted URLs made of
+ * the base path and the bundle's plain or previous hashed name are rewritten,
+ * so files of the same name elsewhere (vendor/x/scripts.js) keep theirs.
+ * @param {string} html - Page
+ * @param {Object} manifest - From fingerprintFiles
+ * @param {Object} previous - Asset manifest of the previous build
+ * @param {string} prefix - Base path the URLs start with ("" for page-relative URLs)
+ * @returns {string}
+ */
+function rewriteBundleUrls(html, manifest, previous, prefix) {
+  return Object.keys(manifest).reduce((page, name) => {
+    const oldNames = [name, previous[name]].filter(oldName => oldName && oldName !== manifest[name]);
+    return oldNames.reduce((rewritten, oldName) => {
+      const escaped = (prefix + oldName).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const reference = new RegExp(`(["'])${escaped}(?=["'?#])`, 'g');
+      return rewritten.replace(reference, `$1${prefix}${manifest[name]}`);
+    }, page);
+  }, html);
+}
+
+module.exports = {
+  fingerprintFiles,
+  readAssetManifest,
+  rewriteBundleUrls
+};
@@ -0,0 +1,278 @@
+// A small HTML parser for build-time checks of the generated pages.
+//
+// It builds an element tree with line and column numbers and reports tags
+// that are not closed, or closed in the wrong order. End tags that HTML lets
+// you leave out (</li>, </p>, </td>, ...) are implied where browsers imply
+// them; beyond that the markup is not repaired: the tree follows the source,
+// so nesting problems can be reported against the elements as written.
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is text up to their end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements browsers close implicitly at the end of the document
+const IMPLIED_END = new Set(['html', 'head', 'body']);
+
+// Elements whose end tag may be left out: they end with their parent, or
+// when a start tag below implies their end
+const OPTIONAL_END = new Set([
+  'li', 'p', 'dt', 'dd', 'option', 'optgroup', 'rt', 'rp', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup'
+]);
+
+// Start tags that end an open element, and the elements that stop the search
+// for it (the open element then belongs to an outer list or table)
+const LIST_ITEM = { closes: ['li'], scope: ['ul', 'ol', 'menu'] };
+const DEFINITION = { closes: ['dt', 'dd'], scope: ['dl'] };
+const CELL = { closes: ['td', 'th'], scope: ['tr', 'table'] };
+const TABLE_SECTION = { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] };
+const RUBY = { closes: ['rt', 'rp'], scope: ['ruby'] };
+const IMPLIED_BY = {
+  li: LIST_ITEM,
+  dt: DEFINITION,
+  dd: DEFINITION,
+  option: { closes: ['option'], scope: ['select', 'datalist', 'optgroup'] },
+  optgroup: { closes: ['optgroup', 'option'], scope: ['select'] },
+  tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: CELL,
+  th: CELL,
+  thead: TABLE_SECTION,
+  tbody: TABLE_SECTION,
+  tfoot: TABLE_SECTION,
+  rt: RUBY,
+  rp: RUBY
+};
+
+// Start tags that end an open <p>, unless a boundary below is in the way
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+  'hr', 'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'search', 'section', 'summary', 'table', 'ul'
+]);
+const PARAGRAPH_SCOPE = ['applet', 'button', 'caption', 'marquee', 'object', 'table', 'td', 'template', 'th'];
+
+const START_TAG = /^<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+const END_TAG = /^<\/([a-zA-Z][\w-]*)\s*>/;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      // Like browsers, NUL, surrogates and code points past U+10FFFF become U+FFFD
+      const invalid = code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff);
+      return String.fromCodePoint(invalid ? 0xfffd : code);
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    const name = match[1].toLowerCase();
+    const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+    // The first occurrence wins, as in browsers
+    if (!(name in attributes)) attributes[name] = decodeEntities(value || '');
+  }
+  return attributes;
+}
+
+/**
+ * Map string offsets to 1-based line and column numbers
+ * @param {string} source - Text the offsets point into
+ * @returns {Function} - offset => { line, column }
+ */
+function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Parse an HTML document
+ * @param {string} html - Document source
+ * @returns {Object} - { document, errors: [{ message, line, column }] }.
+ *   Elements are { type: 'element', tag, attributes, children, parent, line, column };
+ *   text is { type: 'text', text, parent }.
+ */
+function parseHTML(html) {
+  const locate = createLocator(html);
+  const document = { type: 'root', tag: '#document', attributes: {}, children: [], parent: null, line: 1, column: 1 };
+  const stack = [document];
+  const errors = [];
+  // Elements ended by a later start tag, for a clearer message when their end tag turns up
+  const implicitlyClosed = new Map();
+  let index = 0;
+
+  const current = () => stack[stack.length - 1];
+  const error = (message, offset) => errors.push(Object.assign({ message }, locate(offset)));
+
+  function addText(text) {
+    if (text) current().children.push({ type: 'text', text: decodeEntities(text), parent: current() });
+  }
+
+  // Pop the stack down to `depth`, reporting elements that needed an end tag
+  function popTo(depth, reason, offset) {
+    stack.slice(depth).reverse().forEach(node => {
+      if (!OPTIONAL_END.has(node.tag)) error(`<${node.tag}> (line ${node.line}) is not closed before ${reason}`, offset);
+    });
+    stack.length = depth;
+  }
+
+  function closeElement(tag, offset) {
+    const depth = stack.map(node => node.tag).lastIndexOf(tag);
+    if (depth < 1) {
+      const closed = implicitlyClosed.get(tag);
+      if (closed) {
+        error(`<${closed.by}> (line ${closed.line}) cannot be inside <${tag}> (line ${closed.element.line}); ` +
+          `browsers end the <${tag}> before it, so this </${tag}> has no matching <${tag}>`, offset);
+        implicitlyClosed.delete(tag);
+      } else {
+        error(`</${tag}> has no matching <${tag}>`, offset);
+      }
+      return;
+    }
+
+    popTo(depth + 1, `</${tag}>`, offset);
+    stack.length = depth;
+  }
+
+  // End an open element that `tag` implies the end of, as browsers do
+  function closeImplied(tag, offset) {
+    const implied = [];
+    if (CLOSES_PARAGRAPH.has(tag)) implied.push({ closes: ['p'], scope: PARAGRAPH_SCOPE });
+    if (IMPLIED_BY[tag]) implied.push(IMPLIED_BY[tag]);
+
+    implied.forEach(({ closes, scope }) => {
+      for (let depth = stack.length - 1; depth > 0; depth--) {
+        const node = stack[depth];
+        if (closes.includes(node.tag)) {
+          popTo(depth + 1, `<${tag}>`, offset);
+          stack.length = depth;
+          implicitlyClosed.set(node.tag, Object.assign({ element: node, by: tag }, locate(offset)));
+          return;
+        }
+        if (scope.includes(node.tag)) return;
+      }
+    });
+  }
+
+  while (index < html.length) {
+    const open = html.indexOf('<', index);
+    if (open === -1) {
+      addText(html.slice(index));
+      break;
+    }
+    addText(html.slice(index, open));
+    const rest = html.slice(open);
+
+    if (rest.startsWith('<!--')) {
+      const end = html.indexOf('-->', open + 4);
+      index = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (rest.startsWith('<!') || rest.startsWith('<?')) {
+      const end = html.indexOf('>', open);
+      index = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const endTag = rest.match(END_TAG);
+    if (endTag) {
+      closeElement(endTag[1].toLowerCase(), open);
+      index = open + endTag[0].length;
+      continue;
+    }
+
+    const startTag = rest.match(START_TAG);
+    if (!startTag) {
+      addText('<');
+      index = open + 1;
+      continue;
+    }
+
+    const tag = startTag[1].toLowerCase();
+    closeImplied(tag, open);
+    const element = Object.assign({
+      type: 'element',
+      tag,
+      attributes: parseAttributes(startTag[2]),
+      children: [],
+      parent: current()
+    }, locate(open));
+    current().children.push(element);
+    index = open + startTag[0].length;
+
+    if (VOID_ELEMENTS.has(tag) || startTag[3] === '/') continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const close = html.slice(index).search(new RegExp(`</${tag}\\s*>`, 'i'));
+      const end = close === -1 ? html.length : index + close;
+      element.children.push({ type: 'text', text: html.slice(index, end), parent: element });
+      if (close === -1) error(`<${tag}> is never closed`, open);
+      index = close === -1 ? html.length : html.indexOf('>', end) + 1;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  stack.slice(1).reverse().forEach(node => {
+    if (!IMPLIED_END.has(node.tag) && !OPTIONAL_END.has(node.tag)) {
+      errors.push({ message: `<${node.tag}> is never closed`, line: node.line, column: node.column });
+    }
+  });
+
+  return { document, errors };
+}
+
+/**
+ * Call `visit` for every element below `node`, in document order
+ * @param {Object} node - Parsed node
+ * @param {Function} visit - Called with each element
+ */
+function walkElements(node, visit) {
+  node.children.forEach(child => {
+    if (child.type !== 'element') return;
+    visit(child);
+    walkElements(child, visit);
+  });
+}
+
+/**
+ * Nearest ancestor matching `test`
+ * @param {Object} node - Parsed node
+ * @param {Function} test - Called with each ancestor element
+ * @returns {Object|null}
+ */
+function closest(node, test) {
+  for (let parent = node.parent; parent && parent.type === 'element'; parent = parent.parent) {
+    if (test(parent)) return parent;
+  }
+  return null;
+}
+
+module.exports = {
+  VOID_ELEMENTS,
+  closest,
+  createLocator,
+  parseHTML,
+  walkElements
+};
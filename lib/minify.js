@@ -0,0 +1,208 @@
+// Dependency-free minifiers for the production build. They only remove
+// what is safe to remove without a full parser: comments and whitespace.
+
+// Walk a source string, copying quoted strings through untouched and
+// passing everything else to `handle`. Returns the rebuilt string.
+// When a `trace` array is given, [outputOffset, sourceOffset] pairs are
+// recorded wherever the output stops being a straight copy of the source.
+function scan(source, quotes, handle, trace) {
+  let output = '';
+  let i = 0;
+  let needsMark = true;
+
+  while (i < source.length) {
+    const char = source[i];
+    const outputBefore = output.length;
+    const indexBefore = i;
+
+    if (quotes.includes(char)) {
+      let end = i + 1;
+      while (end < source.length && source[end] !== char) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      output += source.slice(i, end + 1);
+      i = end + 1;
+    } else {
+      const result = handle(source, i, output);
+      output = result.output;
+      i = result.index;
+    }
+
+    if (trace) {
+      const grown = output.length - outputBefore;
+      const advanced = i - indexBefore;
+
+      // Drop marks for output that was trimmed away again
+      while (trace.length > 0 && trace[trace.length - 1][0] >= output.length && grown < 0) {
+        trace.pop();
+      }
+      // Marks go on the first visible character after a change
+      if (grown > 0 && needsMark && /\S/.test(output[outputBefore])) {
+        trace.push([outputBefore, indexBefore]);
+        needsMark = false;
+      }
+      if (grown !== advanced) {
+        needsMark = true;
+      }
+    }
+  }
+
+  return output;
+}
+
+// Map an offset through a trace recorded by scan()
+function traceOffset(trace, offset) {
+  let match = [0, 0];
+  trace.forEach(entry => {
+    if (entry[0] <= offset) match = entry;
+  });
+  return match[1] + (offset - match[0]);
+}
+
+/**
+ * Minify CSS by removing comments and unnecessary whitespace
+ * @param {string} css - Stylesheet source
+ * @param {Array} trace - Optional array that receives offset pairs for source maps
+ * @returns {string} - Minified stylesheet
+ */
+function minifyCSS(css, trace) {
+  const firstTrace = trace ? [] : null;
+  const secondTrace = trace ? [] : null;
+
+  const stripped = scan(css, '"\'', (source, i, output) => {
+    if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      return { output, index: end === -1 ? source.length : end + 2 };
+    }
+    if (/\s/.test(source[i])) {
+      let end = i;
+      while (end < source.length && /\s/.test(source[end])) end++;
+      return { output: output + ' ', index: end };
+    }
+    return { output: output + source[i], index: i + 1 };
+  }, firstTrace);
+
+  // Tighten punctuation outside strings
+  const minified = scan(stripped, '"\'', (source, i, output) => {
+    const char = source[i];
+
+    if (char === ' ') {
+      const previous = output[output.length - 1];
+      const next = source[i + 1];
+      if (previous === undefined || next === undefined || '{};,:'.includes(previous) || '{};,'.includes(next)) {
+        return { output, index: i + 1 };
+      }
+    }
+
+    // The last declaration in a block does not need a semicolon
+    if (char === ';' && source[i + 1] === '}') {
+      return { output, index: i + 1 };
+    }
+    if (char === ';' && source[i + 1] === ' ' && source[i + 2] === '}') {
+      return { output, index: i + 2 };
+    }
+
+    return { output: output + char, index: i + 1 };
+  }, secondTrace);
+
+  if (trace) {
+    // Compose both passes so offsets point into the original stylesheet
+    secondTrace.forEach(([output, intermediate]) => {
+      trace.push([output, traceOffset(firstTrace, intermediate)]);
+    });
+  }
+
+  return minified;
+}
+
+// A slash starts a regular expression when it cannot be a division
+function startsRegExp(output) {
+  const trimmed = output.replace(/\s+$/, '');
+  if (trimmed === '') return true;
+  if (/(?:^|[^\w$])(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/.test(trimmed)) {
+    return true;
+  }
+  return '(,=:[!&|?{};+-*%<>~^'.includes(trimmed[trimmed.length - 1]);
+}
+
+/**
+ * Minify JavaScript by removing comments, indentation and blank lines.
+ * Line breaks are kept so automatic semicolon insertion is unaffected.
+ * @param {string} js - Script source
+ * @param {Array} trace - Optional array that receives offset pairs for source maps
+ * @returns {string} - Minified script
+ */
+function minifyJS(js, trace) {
+  const stripped = scan(js, '"\'`', (source, i, output) => {
+    if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      return { output, index: end === -1 ? source.length : end };
+    }
+    if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      // Keep a line break so statements on either side stay separate
+      return { output: output + '\n', index: end === -1 ? source.length : end + 2 };
+    }
+    if (source[i] === '/' && startsRegExp(output)) {
+      let end = i + 1;
+      let inClass = false;
+      while (end < source.length && (source[end] !== '/' || inClass) && source[end] !== '\n') {
+        if (source[end] === '\\') end++;
+        else if (source[end] === '[') inClass = true;
+        else if (source[end] === ']') inClass = false;
+        end++;
+      }
+      return { output: output + source.slice(i, end + 1), index: end + 1 };
+    }
+    if (source[i] === '\n') {
+      // Drop trailing spaces, indentation and blank lines
+      let end = i;
+      while (end < source.length && /\s/.test(source[end])) end++;
+      const trimmed = output.replace(/[ \t]+$/, '');
+      const separator = trimmed === '' || trimmed.endsWith('\n') ? '' : '\n';
+      return { output: trimmed + separator, index: end };
+    }
+    return { output: output + source[i], index: i + 1 };
+  }, trace);
+
+  // Keep traced offsets in step with the trimmed output
+  const leading = stripped.length - stripped.trimStart().length;
+  if (trace && leading > 0) {
+    trace.forEach(entry => { entry[0] = Math.max(0, entry[0] - leading); });
+  }
+
+  return stripped.trim();
+}
+
+// Elements whose content must not be touched
+const PRESERVE_PATTERN = /<(pre|textarea|script|style)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+/**
+ * Minify HTML by removing comments and collapsing whitespace.
+ * Conditional comments and the content of pre, textarea, script and
+ * style elements are left as they are.
+ * @param {string} html - Document source
+ * @returns {string} - Minified document
+ */
+function minifyHTML(html) {
+  const preserved = [];
+  const placeholder = index => `\u0000${index}\u0000`;
+
+  let output = html.replace(PRESERVE_PATTERN, match => {
+    preserved.push(match);
+    return placeholder(preserved.length - 1);
+  });
+
+  output = output
+    .replace(/<!--(?!\[if)[\s\S]*?-->/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return output.replace(/\u0000(\d+)\u0000/g, (match, index) => preserved[Number(index)]);
+}
+
+module.exports = {
+  minifyCSS,
+  minifyJS,
+  minifyHTML
+};
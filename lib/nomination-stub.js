@@ -0,0 +1,85 @@
+// Stand-in for the nomination API, served by the dev server so the form can
+// be submitted end to end without a backend. Nominations are logged and
+// kept in memory only.
+
+const REQUIRED_FIELDS = [
+  'nomineeName',
+  'nomineeOrganization',
+  'productName',
+  'productUrl',
+  'productDescription',
+  'category',
+  'reason',
+  'contactName',
+  'contactEmail'
+];
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+function sendJSON(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Create a request handler that accepts nominations the way the real
+ * endpoint does: 201 with an id, or 422 with per-field errors
+ * @param {Object} log - Console-like logger
+ * @returns {Function} - (request, response) handler
+ */
+function createNominationStub(log = console) {
+  const nominations = [];
+
+  async function handle(request, response) {
+    let nomination;
+    try {
+      nomination = JSON.parse(await readBody(request));
+    } catch (error) {
+      sendJSON(response, 400, { message: 'Request body must be JSON' });
+      return;
+    }
+    // null, numbers, strings and arrays are valid JSON but not a nomination
+    if (nomination === null || typeof nomination !== 'object' || Array.isArray(nomination)) {
+      sendJSON(response, 400, { message: 'Request body must be a JSON object' });
+      return;
+    }
+
+    const errors = {};
+    REQUIRED_FIELDS.forEach(field => {
+      if (typeof nomination[field] !== 'string' || nomination[field].trim() === '') {
+        errors[field] = 'This field is required';
+      }
+    });
+    if (nomination.contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(nomination.contactEmail)) {
+      errors.contactEmail = 'Please enter a valid email address';
+    }
+    if (nomination.consent !== true) {
+      errors.consent = 'Consent is required';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      sendJSON(response, 422, { message: 'Please correct the highlighted fields.', errors });
+      return;
+    }
+
+    const id = `nom-${nominations.length + 1}`;
+    nominations.push(Object.assign({ id }, nomination));
+    log.log(`Received nomination ${id}: ${nomination.productName} (${nomination.category})`);
+    sendJSON(response, 201, { id });
+  }
+
+  // A failing request must not take the dev server down with it
+  return (request, response) => handle(request, response).catch(error => {
+    log.error(`Nomination stub failed: ${error.message}`);
+    if (!response.headersSent) sendJSON(response, 500, { message: 'The nomination could not be saved' });
+  });
+}
+
+module.exports = { createNominationStub };
@@ -0,0 +1,186 @@
+// Offline support: the service worker and web app manifest build.js writes
+// next to the pages.
+//
+// The service worker precaches the build output under a cache named after a
+// hash of its contents, so every build that changes a file installs a fresh
+// cache and drops the old one. Pages and unhashed files are fetched from the
+// network first and fall back to the cache; fingerprinted bundles never
+// change and come straight from the cache. Navigations that fail with
+// nothing cached get the offline page.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { decodePNG, encodePNG, fitSquare } = require('./png');
+const { parseColor } = require('./themes');
+
+// Build files that are never requested by the site itself
+const NOT_PRECACHED = [
+  /\.map$/, /\.ttf$/, /^\.gitkeep$/,
+  /^audit-report\.json$/, /^asset-manifest\.json$/, /^sitemap\.xml$/, /^robots\.txt$/
+];
+
+// Square icons made from the logo: [file, size, purpose, padding]
+const ICONS = [
+  ['icon-192.png', 192, 'any', 0.05],
+  ['icon-512.png', 512, 'any', 0.05],
+  // Maskable icons keep the logo inside the central safe zone
+  ['icon-maskable-512.png', 512, 'maskable', 0.12]
+];
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file, base) : [path.relative(base, file).split(path.sep).join('/')];
+  });
+}
+
+/**
+ * Files for the service worker to precache, relative to the build directory
+ * @param {string} buildDir - Build directory
+ * @param {string} serviceWorkerFile - The worker itself, which is left out
+ * @returns {Object} - { files, version } where version hashes the files' names and contents
+ */
+function collectPrecache(buildDir, serviceWorkerFile) {
+  const files = listFiles(buildDir)
+    .filter(file => file !== serviceWorkerFile && !NOT_PRECACHED.some(pattern => pattern.test(file)))
+    .sort();
+
+  const hash = crypto.createHash('sha256');
+  files.forEach(file => {
+    hash.update(`${file}\0`);
+    hash.update(fs.readFileSync(path.join(buildDir, file)));
+  });
+
+  return { files, version: hash.digest('hex').slice(0, 12) };
+}
+
+/**
+ * Source of the service worker
+ * @param {Object} options
+ * @param {string} options.cachePrefix - Caches starting with it belong to this site
+ * @param {string} options.version - Changes whenever a precached file does
+ * @param {string[]} options.precache - URLs relative to the worker
+ * @param {string} options.offlinePage - Page shown for failed navigations
+ * @returns {string}
+ */
+function serviceWorkerSource({ cachePrefix, version, precache, offlinePage }) {
+  // index.html is also requested as the directory itself
+  const urls = precache.includes('index.html') ? ['./'].concat(precache) : precache;
+
+  return `// Generated by build.js; do not edit
+const CACHE_PREFIX = ${JSON.stringify(cachePrefix)};
+const CACHE = CACHE_PREFIX + ${JSON.stringify(version)};
+const PRECACHE = ${JSON.stringify(urls, null, 2)};
+const OFFLINE_PAGE = ${JSON.stringify(offlinePage)};
+
+// Fingerprinted bundles (styles.3f2a1b9c.css) never change
+const IMMUTABLE = /\\.[0-9a-f]{8}\\.(?:css|js)$/;
+const PRECACHED_PATHS = new Set(PRECACHE.map(url => new URL(url, self.location).pathname));
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE)
+    .then(cache => cache.addAll(PRECACHE))
+    .then(() => self.skipWaiting()));
+});
+
+// Drop the caches of earlier builds
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+function fromNetwork(request, url) {
+  return fetch(request).then(response => {
+    // Keep precached files current, without caching every other request
+    if (response.ok && PRECACHED_PATHS.has(url.pathname) && url.search === '') {
+      const copy = response.clone();
+      caches.open(CACHE).then(cache => cache.put(request, copy));
+    }
+    return response;
+  });
+}
+
+function fromCache(request) {
+  return caches.match(request, { cacheName: CACHE, ignoreSearch: request.mode === 'navigate' });
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (request.headers.get('Accept') === 'text/event-stream') return;
+
+  if (IMMUTABLE.test(url.pathname)) {
+    event.respondWith(fromCache(request).then(cached => cached || fromNetwork(request, url)));
+    return;
+  }
+
+  event.respondWith(fromNetwork(request, url).catch(() => fromCache(request).then(cached => {
+    if (cached) return cached;
+    if (request.mode === 'navigate') return caches.match(OFFLINE_PAGE, { cacheName: CACHE });
+    return Response.error();
+  })));
+});
+`;
+}
+
+/**
+ * Write square app icons made from the logo
+ * @param {string} logoFile - PNG logo
+ * @param {string} iconsDir - Target directory
+ * @param {string} background - Colour filling the square around the logo
+ * @returns {Object[]} - [{ file, size, purpose }]
+ */
+function writeAppIcons(logoFile, iconsDir, background) {
+  const logo = decodePNG(fs.readFileSync(logoFile), logoFile);
+  const fill = background ? parseColor(background) : null;
+  if (background && !fill) {
+    throw new Error(`Cannot use "${background}" as the app icon background: it is not a hex or rgb() colour`);
+  }
+
+  fs.mkdirSync(iconsDir, { recursive: true });
+  return ICONS.map(([file, size, purpose, padding]) => {
+    fs.writeFileSync(path.join(iconsDir, file), encodePNG(fitSquare(logo, size, { padding, background: fill })));
+    return { file, size, purpose };
+  });
+}
+
+/**
+ * Web app manifest
+ * @param {Object} site - content/site.json
+ * @param {Object[]} icons - From writeAppIcons
+ * @param {string} iconsUrl - Where the icons are served, relative to the manifest
+ * @returns {Object}
+ */
+function webAppManifest(site, icons, iconsUrl) {
+  const manifest = {
+    name: site.name,
+    short_name: site.shortName || site.name,
+    description: site.description,
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    background_color: site.backgroundColor,
+    theme_color: site.themeColor,
+    icons: icons.map(({ file, size, purpose }) => ({
+      src: `${iconsUrl}/${file}`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+      purpose
+    }))
+  };
+
+  // Leave out settings the site does not define
+  return JSON.parse(JSON.stringify(manifest));
+}
+
+module.exports = {
+  collectPrecache,
+  serviceWorkerSource,
+  webAppManifest,
+  writeAppIcons
+};
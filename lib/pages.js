@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { absoluteUrl, siteBaseUrl } = require('./seo');
+
+// Read one page definition and fill in per-page metadata defaults
+function readPage(pagesDir, file, site) {
+  const pageFile = path.join(pagesDir, file);
+  const name = path.basename(file, '.json');
+
+  let page;
+  try {
+    page = JSON.parse(fs.readFileSync(pageFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${pageFile}: ${error.message}`);
+  }
+
+  if (!page.layout) {
+    throw new Error(`Page "${name}" does not name a layout (${pageFile})`);
+  }
+
+  const output = page.output || `${name}.html`;
+  const isHome = output === 'index.html';
+  const title = page.title || site.name || name;
+  const description = page.description || site.description || '';
+  const baseUrl = siteBaseUrl(site);
+  const url = isHome ? `${baseUrl}/` : `${baseUrl}/${output}`;
+  const ogImage = page.ogImage || site.ogImage;
+  const robots = page.robots || 'index, follow';
+
+  return {
+    name,
+    file: pageFile,
+    output,
+    layout: page.layout,
+    // Without a list every component with a slot is offered to the layout
+    components: page.components || null,
+    content: page.content ? path.join(pagesDir, page.content) : null,
+    data: Object.assign({}, page, {
+      name,
+      output,
+      title,
+      description,
+      // Prefix for in-page anchors so shared navigation works from every page
+      homeUrl: isHome ? '' : 'index.html',
+      // Absolute, since crawlers and social scrapers read them out of context
+      url,
+      canonical: page.canonical ? absoluteUrl(baseUrl, page.canonical) : url,
+      robots,
+      // Pages kept out of search results are left out of the sitemap too
+      sitemap: page.sitemap !== undefined ? page.sitemap : !/\bnoindex\b/.test(robots),
+      ogTitle: page.ogTitle || title,
+      ogDescription: page.ogDescription || description,
+      ogImage: ogImage ? absoluteUrl(baseUrl, ogImage) : '',
+      ogType: page.ogType || 'website',
+      twitterTitle: page.twitterTitle || page.ogTitle || title,
+      twitterDescription: page.twitterDescription || page.ogDescription || description
+    })
+  };
+}
+
+// Load every page definition from the pages directory
+function loadPages(pagesDir, site = {}) {
+  const pages = fs.readdirSync(pagesDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => readPage(pagesDir, file, site));
+
+  const outputs = new Map();
+  pages.forEach(page => {
+    if (outputs.has(page.output)) {
+      throw new Error(`Pages "${outputs.get(page.output)}" and "${page.name}" both write ${page.output}`);
+    }
+    outputs.set(page.output, page.name);
+  });
+
+  return pages;
+}
+
+// Pick the components a page asked for, keeping dependency order
+function selectComponents(page, components) {
+  if (!page.components) {
+    return components;
+  }
+
+  page.components.forEach(name => {
+    if (!components.some(component => component.name === name)) {
+      throw new Error(`Page "${page.name}" uses missing component "${name}" (${page.file})`);
+    }
+  });
+
+  return components.filter(component => page.components.includes(component.name));
+}
+
+module.exports = {
+  loadPages,
+  selectComponents
+};
@@ -0,0 +1,219 @@
+// Just enough PNG support to make square app icons from the logo: decoding
+// 8-bit, non-interlaced greyscale, RGB and RGBA images, resizing onto a
+// square canvas, and encoding the result as RGBA.
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel for each supported colour type
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Decode a PNG into RGBA pixels
+ * @param {Buffer} buffer - PNG file contents
+ * @param {string} file - Name for error messages
+ * @returns {Object} - { width, height, data } with 4 bytes per pixel
+ */
+function decodePNG(buffer, file = 'image') {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error(`${file} is not a PNG file`);
+  }
+
+  let header = null;
+  const compressed = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        depth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'IDAT') {
+      compressed.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header) throw new Error(`${file} has no IHDR chunk`);
+  const channels = CHANNELS[header.colorType];
+  if (header.depth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error(`${file}: only 8-bit, non-interlaced greyscale, RGB or RGBA PNGs are supported`);
+  }
+
+  const { width, height } = header;
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+
+  // Undo the per-row filters
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0;
+      const up = y > 0 ? pixels[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      if (predictor === undefined) throw new Error(`${file} uses unknown row filter ${filter}`);
+      pixels[out + x] = (row[x] + predictor) & 0xff;
+    }
+  }
+
+  // Expand to RGBA
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = pixels.subarray(i * channels, (i + 1) * channels);
+    const grey = channels <= 2;
+    data[i * 4] = source[0];
+    data[i * 4 + 1] = grey ? source[0] : source[1];
+    data[i * 4 + 2] = grey ? source[0] : source[2];
+    data[i * 4 + 3] = channels === 2 ? source[1] : (channels === 4 ? source[3] : 255);
+  }
+
+  return { width, height, data };
+}
+
+function chunk(type, body) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const typeAndBody = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndBody));
+  return Buffer.concat([length, typeAndBody, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {Object} image - { width, height, data } with 4 bytes per pixel
+ * @returns {Buffer}
+ */
+function encodePNG({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  // Every row unfiltered
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Scale an image to fit a square, centred, keeping its aspect ratio. Each
+ * output pixel averages the source pixels it covers, weighted by alpha so
+ * transparent edges do not darken.
+ * @param {Object} image - { width, height, data } from decodePNG
+ * @param {number} size - Width and height of the result
+ * @param {Object} options
+ * @param {number} options.padding - Share of the size kept clear on each side, 0-0.5
+ * @param {Object} options.background - { r, g, b } to fill the square with; transparent by default
+ * @returns {Object} - { width, height, data }
+ */
+function fitSquare(image, size, { padding = 0, background = null } = {}) {
+  const inner = size * (1 - 2 * padding);
+  const scale = Math.min(inner / image.width, inner / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+  const left = (size - width) / 2;
+  const top = (size - height) / 2;
+  const data = Buffer.alloc(size * size * 4);
+  if (background) {
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = background.r;
+      data[i + 1] = background.g;
+      data[i + 2] = background.b;
+      data[i + 3] = 255;
+    }
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      // Source area under this output pixel
+      const x0 = Math.max(0, (x - left) / scale);
+      const x1 = Math.min(image.width, (x + 1 - left) / scale);
+      const y0 = Math.max(0, (y - top) / scale);
+      const y1 = Math.min(image.height, (y + 1 - top) / scale);
+      if (x1 <= x0 || y1 <= y0) continue;
+
+      const sums = [0, 0, 0, 0];
+      let area = 0;
+      for (let sy = Math.floor(y0); sy < Math.ceil(y1); sy++) {
+        const coverY = Math.min(y1, sy + 1) - Math.max(y0, sy);
+        for (let sx = Math.floor(x0); sx < Math.ceil(x1); sx++) {
+          const weight = coverY * (Math.min(x1, sx + 1) - Math.max(x0, sx));
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.data[i + 3] / 255;
+          sums[0] += image.data[i] * alpha * weight;
+          sums[1] += image.data[i + 1] * alpha * weight;
+          sums[2] += image.data[i + 2] * alpha * weight;
+          sums[3] += alpha * weight;
+          area += weight;
+        }
+      }
+
+      // Pixels on the image's edge are only partly covered
+      const coverage = area / (1 / scale) ** 2;
+      const alpha = (sums[3] / area) * Math.min(1, coverage);
+      const out = (y * size + x) * 4;
+      if (sums[3] === 0) continue;
+      for (let channel = 0; channel < 3; channel++) {
+        const color = sums[channel] / sums[3];
+        data[out + channel] = Math.round(background ? color * alpha + data[out + channel] * (1 - alpha) : color);
+      }
+      data[out + 3] = background ? 255 : Math.round(255 * alpha);
+    }
+  }
+
+  return { width: size, height: size, data };
+}
+
+module.exports = {
+  decodePNG,
+  encodePNG,
+  fitSquare
+};
@@ -0,0 +1,179 @@
+// Search and sharing metadata: absolute URLs for canonical links and social
+// tags, sitemap.xml, robots.txt and schema.org JSON-LD for the awards.
+//
+// Everything is built from content/site.json (the site's `url`) and
+// content/seo.json (robots rules and the event description). Dates come
+// from content/timeline.json so they match the countdown and buttons.
+
+const { outputPath } = require('./urls');
+
+/**
+ * The site's base URL, without a trailing slash
+ * @param {Object} site - content/site.json
+ * @returns {string}
+ */
+function siteBaseUrl(site) {
+  let url;
+  try {
+    url = new URL(site.url);
+  } catch (error) {
+    throw new Error(`content/site.json: "url" must be the absolute address of the site, found "${site.url}"`);
+  }
+  return url.href.replace(/\/$/, '');
+}
+
+/**
+ * Absolute URL of a page or asset. Asset paths may be given as they are in
+ * the sources (core/assets/images/logo.png); they are mapped to where the
+ * build puts them.
+ * @param {string} baseUrl - From siteBaseUrl
+ * @param {string} reference - Path relative to the site root, or an absolute URL
+ * @returns {string}
+ */
+function absoluteUrl(baseUrl, reference) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(reference)) return reference;
+
+  return `${baseUrl}/${outputPath(reference)}`;
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * sitemap.xml listing every page that may be indexed
+ * @param {Object[]} pages - Loaded pages; ones with `sitemap: false` are left out
+ * @returns {string}
+ */
+function sitemapXml(pages) {
+  const entries = pages.filter(page => page.data.sitemap).map(page => {
+    const lastModified = page.data.lastModified ? `\n    <lastmod>${escapeXML(page.data.lastModified)}</lastmod>` : '';
+    return `  <url>\n    <loc>${escapeXML(page.data.url)}</loc>${lastModified}\n  </url>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+    `${entries.join('\n')}\n` +
+    '</urlset>\n';
+}
+
+/**
+ * robots.txt pointing crawlers at the sitemap
+ * @param {string} baseUrl - From siteBaseUrl
+ * @param {Object} seo - content/seo.json
+ * @param {string} sitemapFile - Sitemap file name
+ * @returns {string}
+ */
+function robotsTxt(baseUrl, seo, sitemapFile) {
+  const disallow = (seo.robots && seo.robots.disallow) || [];
+  const rules = disallow.length > 0 ? disallow.map(rule => `Disallow: ${rule}`) : ['Allow: /'];
+
+  return ['User-agent: *'].concat(rules, '', `Sitemap: ${baseUrl}/${sitemapFile}`, '').join('\n');
+}
+
+/**
+ * schema.org Event describing the awards, with the ceremony date, the
+ * organiser and nominations as a free offer open between the timeline's
+ * nomination dates
+ * @param {Object} options
+ * @param {Object} options.site - content/site.json
+ * @param {Object} options.seo - content/seo.json
+ * @param {Object} options.timeline - content/timeline.json
+ * @returns {Object|null} - JSON-LD, or null when seo.json describes no event
+ */
+function eventJsonLd({ site, seo, timeline }) {
+  const event = seo.event;
+  if (!event) return null;
+
+  const baseUrl = siteBaseUrl(site);
+  const items = (timeline && timeline.items) || [];
+  const dateOf = (id, key) => {
+    const item = items.find(entry => entry.id === id);
+    if (!item) {
+      throw new Error(`content/seo.json: event.${key} "${id}" matches no item in content/timeline.json`);
+    }
+    return item.date;
+  };
+  if (!event.startDate) {
+    throw new Error('content/seo.json: event.startDate must name the timeline item the event takes place on');
+  }
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: event.name || site.name,
+    description: event.description || site.description,
+    url: `${baseUrl}/`,
+    image: site.ogImage ? [absoluteUrl(baseUrl, site.ogImage)] : undefined,
+    startDate: dateOf(event.startDate, 'startDate'),
+    endDate: event.endDate ? dateOf(event.endDate, 'endDate') : undefined,
+    eventStatus: `https://schema.org/${event.status || 'EventScheduled'}`,
+    eventAttendanceMode: event.attendanceMode ? `https://schema.org/${event.attendanceMode}` : undefined,
+    location: event.location,
+    organizer: event.organizer ? Object.assign({ '@type': 'Organization' }, event.organizer) : undefined
+  };
+
+  if (timeline && timeline.nominations) {
+    data.offers = Object.assign({
+      '@type': 'Offer',
+      name: 'Nomination',
+      url: `${baseUrl}/`,
+      price: '0',
+      availability: 'https://schema.org/InStock',
+      validFrom: timeline.nominations.opens,
+      validThrough: timeline.nominations.closes
+    }, event.offer);
+  }
+
+  // Leave out whatever the config does not provide
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Properties of an Event that search engines need before they show it as a
+ * rich result: a name, a start date and where it takes place (a Place with
+ * an address, or a VirtualLocation with a URL), plus how people attend
+ * @param {Object} data - From eventJsonLd
+ * @returns {string[]} - Missing properties, empty when there are none
+ */
+function missingEventProperties(data) {
+  const missing = ['name', 'startDate', 'location', 'eventAttendanceMode'].filter(key => !data[key]);
+
+  const locations = [].concat(data.location || []);
+  locations.forEach(location => {
+    if (location['@type'] === 'VirtualLocation') {
+      if (!location.url) missing.push('location.url');
+    } else if (!location.address) {
+      missing.push('location.address');
+    }
+  });
+
+  return missing;
+}
+
+/**
+ * Add JSON-LD to the end of <head>
+ * @param {string} html - Page HTML
+ * @param {Object} data - JSON-LD
+ * @returns {string}
+ */
+function injectJsonLd(html, data) {
+  // "</script>" inside a string must not end the element
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  const indented = json.split('\n').join('\n    ');
+  return html.replace(/(\s*)<\/head>/i, `\n    <script type="application/ld+json">\n    ${indented}\n    </script>$1</head>`);
+}
+
+module.exports = {
+  absoluteUrl,
+  eventJsonLd,
+  injectJsonLd,
+  missingEventProperties,
+  robotsTxt,
+  siteBaseUrl,
+  sitemapXml
+};
@@ -0,0 +1,63 @@
+// Placeholder comments look like <!-- HEADER --> or <!-- WHY_NOMINATE -->
+const SLOT_PATTERN = /<!--\s*([A-Z][A-Z0-9_]*)\s*-->/g;
+
+// Convert a PascalCase folder name to its SCREAMING_SNAKE slot name
+// (WhyNominate -> WHY_NOMINATE, FAQ -> FAQ, NominationModal -> NOMINATION_MODAL)
+function toSlotName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+// List every placeholder slot in a template, in document order
+function findSlots(template) {
+  return Array.from(template.matchAll(SLOT_PATTERN), match => match[1]);
+}
+
+// Inject component HTML into the template and report what was left over
+function fillSlots(template, components, readHtml) {
+  const slots = findSlots(template);
+  const injected = new Set();
+  const uninjectedComponents = [];
+
+  components.forEach(component => {
+    if (!component.html || !component.slot) return;
+
+    const placeholder = new RegExp(`<!--\\s*${component.slot}\\s*-->`);
+    if (placeholder.test(template)) {
+      const componentHtml = readHtml(component);
+      template = template.replace(placeholder, () => componentHtml);
+      injected.add(component.slot);
+    } else {
+      uninjectedComponents.push({ name: component.name, slot: component.slot });
+    }
+  });
+
+  const unfilledSlots = slots.filter(slot => !injected.has(slot));
+
+  return {
+    html: template,
+    report: { unfilledSlots, uninjectedComponents }
+  };
+}
+
+// Print the slot report; returns true when anything needs attention
+function printSlotReport(report, log = console) {
+  report.unfilledSlots.forEach(slot => {
+    log.warn(`  Warning: template slot <!-- ${slot} --> was left empty`);
+  });
+  report.uninjectedComponents.forEach(({ name, slot }) => {
+    log.warn(`  Warning: component "${name}" was never injected (no <!-- ${slot} --> in template)`);
+  });
+
+  return report.unfilledSlots.length > 0 || report.uninjectedComponents.length > 0;
+}
+
+module.exports = {
+  toSlotName,
+  findSlots,
+  fillSlots,
+  printSlotReport
+};
@@ -0,0 +1,308 @@
+const path = require('path');
+
+// Source map v3 support for the concatenated and minified bundles.
+// https://sourcemaps.info/spec.html
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Encode mappings. `lines[n]` lists the segments of generated line n as
+ * [generatedColumn, sourceIndex, originalLine, originalColumn] (all 0-based).
+ * @param {Array[]} lines
+ * @returns {string}
+ */
+function encodeMappings(lines) {
+  let previousSource = 0;
+  let previousLine = 0;
+  let previousColumn = 0;
+
+  return lines.map(segments => {
+    let previousGenerated = 0;
+    return segments
+      .slice()
+      .sort((a, b) => a[0] - b[0])
+      .map(([generatedColumn, source, line, column]) => {
+        const encoded = encodeVLQ(generatedColumn - previousGenerated) +
+          encodeVLQ(source - previousSource) +
+          encodeVLQ(line - previousLine) +
+          encodeVLQ(column - previousColumn);
+        previousGenerated = generatedColumn;
+        previousSource = source;
+        previousLine = line;
+        previousColumn = column;
+        return encoded;
+      })
+      .join(',');
+  }).join(';');
+}
+
+// Inverse of encodeMappings
+function decodeMappings(mappings) {
+  let source = 0;
+  let line = 0;
+  let column = 0;
+
+  return mappings.split(';').map(group => {
+    let generatedColumn = 0;
+    return group.split(',').filter(Boolean).map(segment => {
+      const values = decodeVLQ(segment);
+      generatedColumn += values[0];
+      if (values.length < 4) return [generatedColumn];
+      source += values[1];
+      line += values[2];
+      column += values[3];
+      return [generatedColumn, source, line, column];
+    }).filter(segment => segment.length === 4);
+  });
+}
+
+// Convert a character offset to a 0-based line and column
+function createLocator(code) {
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low, column: offset - lineStarts[low] };
+  };
+}
+
+/**
+ * Concatenate files while recording where every line came from
+ * @param {string} outputFile - Path of the bundle being written
+ * @returns {Object} - { add(content, file), addLines(lines, file, content), addTraced(text, file, content, trace), addGenerated(text), code(), map() }
+ */
+function createConcatenation(outputFile) {
+  const sources = [];
+  const sourcesContent = [];
+  const lines = [];
+  let code = '';
+
+  function append(text, sourceIndex) {
+    const pieces = text.split('\n');
+    if (pieces[pieces.length - 1] === '') pieces.pop();
+
+    pieces.forEach((piece, index) => {
+      // The first piece continues the current generated line
+      if (index === 0 && code !== '' && !code.endsWith('\n')) return;
+      lines.push(sourceIndex === null ? [] : [[0, sourceIndex, index, 0]]);
+    });
+    code += text;
+  }
+
+  return {
+    // Add a source file's content, mapped back to that file
+    add(content, file) {
+      sources.push(file);
+      sourcesContent.push(content);
+      append(content.endsWith('\n') ? content : `${content}\n`, sources.length - 1);
+    },
+
+    // Add rewritten lines of a source file. Each entry is
+    // { text, line, column }: the 0-based source position of its first character.
+    // `segments` optionally maps later parts of the line, as [generatedColumn, line, column].
+    addLines(entries, file, content) {
+      sources.push(file);
+      sourcesContent.push(content);
+      const sourceIndex = sources.length - 1;
+      if (code !== '' && !code.endsWith('\n')) code += '\n';
+      entries.forEach(({ text, line, column, segments = [] }) => {
+        lines.push([[0, sourceIndex, line, column]].concat(segments
+          .map(([generatedColumn, segmentLine, segmentColumn]) => [generatedColumn, sourceIndex, segmentLine, segmentColumn])));
+        code += `${text}\n`;
+      });
+    },
+
+    // Add a transformed source file. `trace` holds [outputOffset, sourceOffset]
+    // pairs recorded wherever the transform inserted or removed text.
+    addTraced(text, file, content, trace) {
+      sources.push(file);
+      sourcesContent.push(content);
+      const sourceIndex = sources.length - 1;
+      const locate = createLocator(content);
+      const marks = [[0, 0]].concat(trace);
+      const segment = (offset, lineStart) => {
+        let match = marks[0];
+        marks.forEach(mark => {
+          if (mark[0] <= offset) match = mark;
+        });
+        const { line, column } = locate(match[1] + (offset - match[0]));
+        return [offset - lineStart, sourceIndex, line, column];
+      };
+
+      if (code !== '' && !code.endsWith('\n')) code += '\n';
+      let lineStart = 0;
+      text.replace(/\n$/, '').split('\n').forEach(lineText => {
+        const lineEnd = lineStart + lineText.length;
+        lines.push([segment(lineStart, lineStart)].concat(marks
+          .filter(mark => mark[0] > lineStart && mark[0] < lineEnd)
+          .map(mark => segment(mark[0], lineStart))));
+        lineStart = lineEnd + 1;
+      });
+      code += text.endsWith('\n') ? text : `${text}\n`;
+    },
+
+    // Add build-generated text (banners, separators) with no source
+    addGenerated(text) {
+      append(text, null);
+    },
+
+    code() {
+      return code;
+    },
+
+    map() {
+      const mapDir = path.dirname(outputFile);
+      return {
+        version: 3,
+        file: path.basename(outputFile),
+        sources: sources.map(file => path.relative(mapDir, file).split(path.sep).join('/')),
+        sourcesContent,
+        names: [],
+        mappings: encodeMappings(lines)
+      };
+    }
+  };
+}
+
+// The minifier only traces where it changed something, so text it copied
+// as is (a line after build-generated code, say) has no mark of its own.
+// Find where each segment of the unminified map ended up from the closest
+// mark before it, and keep the ones whose character survived.
+function untracedMarks(originalLines, original, minified, trace) {
+  const lineStarts = [0];
+  for (let i = 0; i < original.length; i++) {
+    if (original[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const byOriginal = trace.slice().sort((a, b) => a[1] - b[1]);
+  const marks = [];
+  let nearest = 0;
+
+  originalLines.forEach((segments, line) => {
+    segments.forEach(([column]) => {
+      const offset = lineStarts[line] + column;
+      while (nearest + 1 < byOriginal.length && byOriginal[nearest + 1][1] <= offset) nearest++;
+      const [minifiedBase, originalBase] = byOriginal[nearest] || [0, 0];
+      if (originalBase > offset) return;
+
+      const minifiedOffset = minifiedBase + (offset - originalBase);
+      if (/\S/.test(original[offset]) && minified[minifiedOffset] === original[offset]) {
+        marks.push([minifiedOffset, offset]);
+      }
+    });
+  });
+
+  return marks;
+}
+
+/**
+ * Build the map for a minified bundle from the unminified bundle's map
+ * @param {Object} map - Source map of the unminified code
+ * @param {string} original - Unminified code
+ * @param {string} minified - Minified code
+ * @param {Array[]} trace - [minifiedOffset, originalOffset] pairs recorded by the minifier
+ * @returns {Object} - Source map of the minified code
+ */
+function remapMinified(map, original, minified, trace) {
+  const originalLines = decodeMappings(map.mappings);
+  const locateOriginal = createLocator(original);
+  const locateMinified = createLocator(minified);
+  const lines = [];
+
+  // Find the original source position of an offset in the unminified code
+  function lookup(offset) {
+    const { line, column } = locateOriginal(offset);
+    const segments = originalLines[line] || [];
+    let match = null;
+    segments.forEach(segment => {
+      if (segment[0] <= column) match = segment;
+    });
+    if (!match) return null;
+    return [match[1], match[2], match[3] + (column - match[0])];
+  }
+
+  const marks = trace.concat(untracedMarks(originalLines, original, minified, trace))
+    .sort((a, b) => a[0] - b[0]);
+
+  marks.forEach(([minifiedOffset, originalOffset]) => {
+    const original = lookup(originalOffset);
+    if (!original) return;
+
+    const { line, column } = locateMinified(minifiedOffset);
+    while (lines.length <= line) lines.push([]);
+    let previous = lines[line][lines[line].length - 1];
+    // A later mark for the same column wins
+    if (previous && previous[0] === column) {
+      lines[line].pop();
+      previous = lines[line][lines[line].length - 1];
+    }
+    // Skip segments that add nothing over the previous one
+    if (previous && previous[1] === original[0] && previous[2] === original[1] &&
+        original[2] - previous[3] === column - previous[0]) {
+      return;
+    }
+    lines[line].push([column].concat(original));
+  });
+
+  return Object.assign({}, map, { mappings: encodeMappings(lines) });
+}
+
+// The comment that links a bundle to its map
+function sourceMappingComment(file, mapUrl) {
+  return path.extname(file) === '.css'
+    ? `/*# sourceMappingURL=${mapUrl} */`
+    : `//# sourceMappingURL=${mapUrl}`;
+}
+
+// Matches an existing sourceMappingURL comment in CSS or JS
+const SOURCE_MAPPING_PATTERN = /\n?(?:\/\*# sourceMappingURL=[^*]*\*\/|\/\/# sourceMappingURL=.*)\s*$/;
+
+module.exports = {
+  createConcatenation,
+  decodeMappings,
+  encodeMappings,
+  remapMinified,
+  sourceMappingComment,
+  SOURCE_MAPPING_PATTERN
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+// <!-- @include nominate-button id="open-nomination-modal-hero" class="btn-glow" -->
+// <!-- @each content.judges.items judge-card.html -->
+const DIRECTIVE_PATTERN = /<!--\s*@(include|each)\s+((?:[^\s=]+\s+)*?[^\s=]+)((?:\s+[\w-]+=(?:"[^"]*"|'[^']*'))*)\s*-->/g;
+const PROP_PATTERN = /([\w-]+)=(?:"([^"]*)"|'([^']*)')/g;
+
+// {{ name }} is HTML-escaped, {{{ name }}} is inserted as-is.
+// Either form accepts a fallback for missing or empty values:
+// {{ label | default: "Nominate Now" }}
+const VARIABLE_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([^}]+?)\s*\}\}/g;
+const EXPRESSION_PATTERN = /^([\w.-]+)(?:\s*\|\s*default:\s*(?:"([^"]*)"|'([^']*)'))?$/;
+
+const MAX_INCLUDE_DEPTH = 20;
+
+class TemplateError extends Error {
+  constructor(message, file, line) {
+    super(`${message} (${path.relative(process.cwd(), file)}:${line})`);
+    this.name = 'TemplateError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(scope, name) {
+  return name.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    return value[key];
+  }, scope);
+}
+
+function parseProps(attributes) {
+  const props = {};
+  for (const match of attributes.matchAll(PROP_PATTERN)) {
+    props[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return props;
+}
+
+// Replace {{ variables }} in a string using the given scope
+function interpolate(source, scope, file, lineOffset = 0, escape = true) {
+  return source.replace(VARIABLE_PATTERN, (match, raw, escaped, index) => {
+    const expression = (raw || escaped).trim();
+    const parsed = expression.match(EXPRESSION_PATTERN);
+    const line = lineOffset + lineAt(source, index);
+
+    if (!parsed) {
+      throw new TemplateError(`Invalid expression "${expression}"`, file, line);
+    }
+
+    let value = lookup(scope, parsed[1]);
+    const fallback = parsed[2] !== undefined ? parsed[2] : parsed[3];
+    if (value === undefined || value === null) {
+      if (fallback === undefined) {
+        throw new TemplateError(`Undefined variable "${parsed[1]}"`, file, line);
+      }
+      value = fallback;
+    } else if (value === '' && fallback !== undefined) {
+      value = fallback;
+    }
+
+    return raw || !escape ? String(value) : escapeHTML(value);
+  });
+}
+
+/**
+ * Create a renderer that expands @include/@each directives and {{ variables }}
+ * @param {Object} options
+ * @param {Object} options.data - Values available in every file, e.g. { site, page }
+ * @param {Function} options.resolveInclude - (target, fromFile) => absolute file path or null
+ * @returns {Function} - render(source, file, props) => HTML
+ */
+function createRenderer({ data = {}, resolveInclude }) {
+  function render(source, file, props = {}, stack = []) {
+    const scope = Object.assign({}, data, props);
+    const chain = stack.concat(path.resolve(file));
+
+    if (chain.length > MAX_INCLUDE_DEPTH) {
+      throw new TemplateError(`Includes nested deeper than ${MAX_INCLUDE_DEPTH} levels`, file, 1);
+    }
+
+    let output = '';
+    let lastIndex = 0;
+
+    // Interpolate the text this file owns and render each directive in place,
+    // so included output is never scanned twice and errors keep their lines
+    for (const match of source.matchAll(DIRECTIVE_PATTERN)) {
+      const [directive, type, positional, attributes] = match;
+      const line = lineAt(source, match.index);
+      const argsList = positional.split(/\s+/);
+
+      output += interpolate(source.slice(lastIndex, match.index), scope, file, lineAt(source, lastIndex) - 1);
+      lastIndex = match.index + directive.length;
+
+      const expected = type === 'each' ? 2 : 1;
+      if (argsList.length !== expected) {
+        throw new TemplateError(`@${type} expects ${expected === 2 ? 'a data path and a template' : 'a single target'}`, file, line);
+      }
+
+      const target = argsList[expected - 1];
+      const includeFile = resolveInclude(target, file);
+      if (!includeFile || !fs.existsSync(includeFile)) {
+        throw new TemplateError(`Cannot resolve include "${target}"`, file, line);
+      }
+
+      const resolved = path.resolve(includeFile);
+      if (chain.includes(resolved)) {
+        const cycle = chain.concat(resolved).map(entry => path.relative(process.cwd(), entry));
+        throw new TemplateError(`Circular include: ${cycle.join(' -> ')}`, file, line);
+      }
+
+      // Prop values may reference variables from the including file; they
+      // are escaped once, where the partial outputs them
+      const includeProps = parseProps(attributes);
+      Object.keys(includeProps).forEach(key => {
+        includeProps[key] = interpolate(includeProps[key], scope, file, line - 1, false);
+      });
+
+      const partial = fs.readFileSync(resolved, 'utf8');
+
+      if (type === 'include') {
+        output += render(partial, resolved, includeProps, chain);
+        continue;
+      }
+
+      // @each renders the item template once per entry; object entries
+      // become props, anything else is available as {{ item }}
+      const items = lookup(scope, argsList[0]);
+      if (!Array.isArray(items)) {
+        const problem = items === undefined || items === null ? 'is not defined' : 'is not a list';
+        throw new TemplateError(`@each data "${argsList[0]}" ${problem}`, file, line);
+      }
+
+      output += items.map((item, index) => {
+        const itemProps = item !== null && typeof item === 'object' ? item : { item };
+        return render(partial, resolved, Object.assign({}, includeProps, { index: index + 1 }, itemProps), chain);
+      }).join('\n');
+    }
+
+    output += interpolate(source.slice(lastIndex), scope, file, lineAt(source, lastIndex) - 1);
+    return output;
+  }
+
+  return render;
+}
+
+module.exports = {
+  TemplateError,
+  createRenderer,
+  escapeHTML,
+  interpolate
+};
@@ -0,0 +1,252 @@
+// Build-time side of theming: the inline bootstrap that applies the saved
+// theme before the first paint, and WCAG contrast checks on token pairs.
+//
+// Themes are described in content/themes.json. The first theme is the base
+// palette in core/styles/variables.css; every other theme overrides tokens in
+// a `:root[data-theme="id"]` block in one of the core stylesheets.
+
+// localStorage key of the visitor's choice; must match core/scripts/theme.js
+const THEME_STORAGE_KEY = 'theme';
+
+// Preference that follows the operating system's settings
+const SYSTEM_PREFERENCE = 'system';
+
+// WCAG AA for normal-size text
+const DEFAULT_MIN_CONTRAST = 4.5;
+
+// Check the config and fill in defaults
+function normalizeThemes(config) {
+  const themes = config.themes || [];
+  if (themes.length === 0) {
+    throw new Error('content/themes.json: "themes" needs at least the base theme');
+  }
+
+  const ids = themes.map(theme => theme.id);
+  const preference = config.default || SYSTEM_PREFERENCE;
+  if (preference !== SYSTEM_PREFERENCE && !ids.includes(preference)) {
+    throw new Error(`content/themes.json: default theme "${preference}" is not defined`);
+  }
+
+  return {
+    base: ids[0],
+    ids,
+    preference,
+    media: themes.filter(theme => theme.media).map(theme => [theme.id, theme.media]),
+    contrast: config.contrast || []
+  };
+}
+
+/**
+ * Source of the inline script that sets data-theme on <html> before the
+ * stylesheet is applied, so a saved dark theme does not flash light first.
+ * Themes with a `media` query are tried in order when following the system.
+ * @param {Object} config - content/themes.json
+ * @returns {string} - Script body
+ */
+function themeBootstrap(config) {
+  const { base, ids, preference, media } = normalizeThemes(config);
+  const settings = JSON.stringify({ key: THEME_STORAGE_KEY, base, ids, preference, media });
+
+  return `(function(c){var p=null;try{p=localStorage.getItem(c.key)}catch(e){}` +
+    `if(p!=="${SYSTEM_PREFERENCE}"&&c.ids.indexOf(p)===-1)p=c.preference;var t=p;` +
+    `if(p==="${SYSTEM_PREFERENCE}"){t=c.base;for(var i=0;i<c.media.length;i++){` +
+    `if(window.matchMedia&&window.matchMedia(c.media[i][1]).matches){t=c.media[i][0];break}}}` +
+    `var r=document.documentElement;r.setAttribute("data-theme",t);r.setAttribute("data-theme-preference",p)` +
+    `})(${settings});`;
+}
+
+/**
+ * Insert the theme bootstrap at the top of <head>, after the charset
+ * declaration, so it runs before any stylesheet is applied
+ * @param {string} html - Page HTML
+ * @param {Object} config - content/themes.json
+ * @param {string} file - Page name for error messages
+ * @returns {string} - Page HTML with the bootstrap
+ */
+function injectThemeBootstrap(html, config, file) {
+  const script = `<script>${themeBootstrap(config)}</script>`;
+  const head = html.match(/<head\b[^>]*>/i);
+  if (!head) {
+    throw new Error(`Cannot add the theme bootstrap to ${file}: it has no <head>`);
+  }
+
+  const headStart = head.index + head[0].length;
+  const charset = html.slice(headStart).match(/<meta\s+charset\b[^>]*>/i);
+  const at = charset && html.slice(headStart, headStart + charset.index).indexOf('</head>') === -1
+    ? headStart + charset.index + charset[0].length
+    : headStart;
+
+  return `${html.slice(0, at)}\n    ${script}${html.slice(at)}`;
+}
+
+// Custom property declarations in the blocks whose selector matches `selector`
+function declarationsIn(css, selector) {
+  const declarations = {};
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const blockPattern = /([^{}]+)\{([^{}]*)\}/g;
+  let block;
+
+  while ((block = blockPattern.exec(source)) !== null) {
+    const selectors = block[1].split(',').map(part => part.trim().replace(/'/g, '"'));
+    if (!selectors.includes(selector)) continue;
+
+    const declarationPattern = /(--[\w-]+)\s*:\s*([^;]+)/g;
+    let declaration;
+    while ((declaration = declarationPattern.exec(block[2])) !== null) {
+      declarations[declaration[1]] = declaration[2].trim();
+    }
+  }
+
+  return declarations;
+}
+
+// Follow var() references until a plain value is left
+function resolveToken(tokens, name, trail = []) {
+  if (trail.includes(name)) {
+    throw new Error(`Design token ${name} refers to itself (${trail.concat(name).join(' -> ')})`);
+  }
+
+  const value = tokens[name];
+  if (value === undefined) return null;
+
+  return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g, (match, ref, fallback) => {
+    const resolved = resolveToken(tokens, ref, trail.concat(name));
+    return resolved !== null ? resolved : (fallback || match);
+  });
+}
+
+/**
+ * Parse a colour value
+ * @param {string} value - #rgb, #rrggbb, #rrggbbaa, rgb() or rgba()
+ * @returns {Object|null} - { r, g, b, a } with channels 0-255 and alpha 0-1
+ */
+function parseColor(value) {
+  const color = value.trim().toLowerCase();
+  const named = { white: '#ffffff', black: '#000000' };
+  if (named[color]) return parseColor(named[color]);
+
+  const hex = color.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    if (digits.length !== 6 && digits.length !== 8) return null;
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1
+      : (rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]));
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: alpha };
+  }
+
+  return null;
+}
+
+// Lay a translucent colour over an opaque one
+function composite(top, bottom) {
+  const mix = channel => top[channel] * top.a + bottom[channel] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function relativeLuminance({ r, g, b }) {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio between two opaque colours
+ * @param {Object} first - { r, g, b }
+ * @param {Object} second - { r, g, b }
+ * @returns {number} - From 1 to 21
+ */
+function contrastRatio(first, second) {
+  const [light, dark] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Check the text/background token pairs listed in content/themes.json
+ * against every theme
+ * @param {Object} config - content/themes.json
+ * @param {Object} tokens - Base token stylesheet: { file, css }
+ * @param {Object[]} stylesheets - Core stylesheets holding the theme overrides: { file, css }
+ * @returns {Object} - { checked, failures: [{ theme, text, background, ratio, min }] }
+ */
+function checkThemeContrast(config, tokens, stylesheets) {
+  const { base, ids, contrast } = normalizeThemes(config);
+  const baseTokens = declarationsIn(tokens.css, ':root');
+  const failures = [];
+  let checked = 0;
+
+  ids.forEach(id => {
+    let themeTokens = baseTokens;
+    if (id !== base) {
+      const selector = `:root[data-theme="${id}"]`;
+      const overrides = stylesheets.reduce((all, sheet) => Object.assign(all, declarationsIn(sheet.css, selector)), {});
+      if (Object.keys(overrides).length === 0) {
+        throw new Error(`Theme "${id}" has no ${selector} block in the core stylesheets`);
+      }
+      themeTokens = Object.assign({}, baseTokens, overrides);
+    }
+
+    const colorOf = name => {
+      const value = resolveToken(themeTokens, name);
+      if (value === null) {
+        throw new Error(`content/themes.json: contrast pair uses ${name}, which theme "${id}" does not define`);
+      }
+      const color = parseColor(value);
+      if (!color) {
+        throw new Error(`Cannot check contrast of ${name}: "${value}" is not a hex or rgb() colour`);
+      }
+      return color;
+    };
+
+    // Translucent backgrounds sit on the page background
+    const page = colorOf('--color-bg-body');
+
+    contrast.forEach(({ text, background, min = DEFAULT_MIN_CONTRAST }) => {
+      const backgroundColor = composite(colorOf(background), page);
+      const textColor = composite(colorOf(text), backgroundColor);
+      const ratio = contrastRatio(textColor, backgroundColor);
+
+      checked++;
+      if (ratio < min) {
+        failures.push({ theme: id, text, background, ratio, min });
+      }
+    });
+  });
+
+  return { checked, failures };
+}
+
+// Print the contrast check; returns true when a pair falls short
+function printContrastReport(report, log = console) {
+  report.failures.forEach(({ theme, text, background, ratio, min }) => {
+    log.warn(`  Warning: ${text} on ${background} has a contrast of ${ratio.toFixed(2)}:1 in the ` +
+      `"${theme}" theme (needs ${min}:1)`);
+  });
+
+  return report.failures.length > 0;
+}
+
+module.exports = {
+  SYSTEM_PREFERENCE,
+  THEME_STORAGE_KEY,
+  checkThemeContrast,
+  contrastRatio,
+  injectThemeBootstrap,
+  parseColor,
+  printContrastReport,
+  themeBootstrap
+};
@@ -0,0 +1,53 @@
+// Build-time checks on content/timeline.json, which drives the countdown and
+// the nomination buttons' open/closed state.
+//
+// Dates are ISO 8601 with a UTC offset so every visitor counts down to the
+// same moment. `nominations.opens` and `nominations.closes` must match the
+// dates of timeline items, so the buttons and the timeline never disagree.
+
+// 2026-12-15T23:59:59-05:00 or 2026-12-15T23:59:59Z
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function parseDate(value, where) {
+  if (typeof value !== 'string' || !ISO_DATE_TIME.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new Error(`content/timeline.json: ${where} must be an ISO date and time with a UTC offset, found "${value}"`);
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Check the timeline dates
+ * @param {Object} timeline - content/timeline.json
+ */
+function checkTimeline(timeline) {
+  const items = timeline.items || [];
+  let previous = -Infinity;
+
+  items.forEach(item => {
+    const time = parseDate(item.date, `date of "${item.id}"`);
+    if (time < previous) {
+      throw new Error(`content/timeline.json: "${item.id}" is listed after a later date; keep items in date order`);
+    }
+    previous = time;
+  });
+
+  const nominations = timeline.nominations;
+  if (!nominations) {
+    throw new Error('content/timeline.json: "nominations" needs the "opens" and "closes" dates');
+  }
+
+  ['opens', 'closes'].forEach(key => {
+    const time = parseDate(nominations[key], `nominations.${key}`);
+    if (!items.some(item => Date.parse(item.date) === time)) {
+      throw new Error(`content/timeline.json: nominations.${key} (${nominations[key]}) matches no timeline item`);
+    }
+  });
+
+  if (Date.parse(nominations.opens) >= Date.parse(nominations.closes)) {
+    throw new Error('content/timeline.json: nominations.closes must come after nominations.opens');
+  }
+}
+
+module.exports = {
+  checkTimeline
+};
@@ -0,0 +1,227 @@
+// URL resolution for the generated pages and styles.css.
+//
+// Templates and stylesheets refer to files either as they are in the sources
+// (core/assets/images/logo.png, components/Hero/wave.svg) or as they are in
+// the build (styles.css, assets/icons/icon-192.png, vendor/...). Every such
+// reference is mapped to the build's layout, checked against the files the
+// build wrote and prefixed with the site's base path, so the output works
+// wherever the build directory is published. External URLs are left alone;
+// absolute URLs on the site itself are checked but not rewritten.
+
+const fs = require('fs');
+const path = require('path');
+const { createLocator } = require('./html');
+
+// Source folders that copyAssets lays out differently in the build
+const OUTPUT_LOCATIONS = [
+  ['core/assets/', 'assets/'],
+  ['components/', 'assets/components/']
+];
+
+// Attributes holding one URL, and <meta> tags whose content is one
+const URL_ATTRIBUTES = ['src', 'href', 'poster'];
+const URL_META = new Set([
+  'og:image', 'og:image:url', 'og:image:secure_url', 'og:url', 'og:audio', 'og:video',
+  'twitter:image', 'msapplication-tileimage', 'msapplication-config'
+]);
+
+// Comments, <script>/<style> elements with their content, and start tags
+const MARKUP = /<!--[\s\S]*?-->|<(script|style)\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/\1\s*>|<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+const ATTRIBUTE = /(\s)([^\s"'>/=]+)(\s*=\s*)("[^"]*"|'[^']*'|[^\s"'=<>`]+)/g;
+const CSS_URL = /(url\(\s*)("[^"]*"|'[^']*'|[^)"'\s]+)(\s*\))|(@import\s+)("[^"]*"|'[^']*')/gi;
+// One srcset candidate: a URL up to whitespace, then optional descriptors
+const SRCSET_CANDIDATE = /(\s*)(\S*[^,\s])(\s+[^,]*)?(,|$)/g;
+
+const EXTERNAL = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+
+/**
+ * Where the build puts a file given by its source path. Paths already in
+ * the build's layout are returned unchanged.
+ * @param {string} reference - Path from the site root
+ * @returns {string}
+ */
+function outputPath(reference) {
+  const relative = reference.replace(/^\.?\//, '');
+  const location = OUTPUT_LOCATIONS.find(([source]) => relative.startsWith(source));
+  return location ? location[1] + relative.slice(location[0].length) : relative;
+}
+
+/**
+ * The path the site is served under: "/" for a domain of its own,
+ * "/repository/" for a project site, or "./" for URLs relative to each page
+ * (all pages are written to the top of the build). Defaults to the path of
+ * the site's `url`.
+ * @param {Object} site - content/site.json
+ * @returns {string} - Ends with "/"
+ */
+function basePathOf(site) {
+  if (site.basePath === undefined) {
+    try {
+      return new URL(site.url).pathname.replace(/\/?$/, '/');
+    } catch (error) {
+      return '/';
+    }
+  }
+
+  const basePath = String(site.basePath);
+  if (['', '.', './'].includes(basePath)) return './';
+  if (!basePath.startsWith('/') || basePath.startsWith('//')) {
+    throw new Error(`content/site.json: "basePath" must start with "/" or be "./", found "${basePath}"`);
+  }
+  return basePath.replace(/\/?$/, '/');
+}
+
+/**
+ * Create a resolver for references in the build
+ * @param {Object} options
+ * @param {string} options.buildDir - Build directory
+ * @param {string} options.basePath - From basePathOf
+ * @param {string} options.baseUrl - The site's absolute URL without a trailing slash (siteBaseUrl)
+ * @param {Object} options.renamed - Build files written under another name, such as
+ *   fingerprinted bundles (the asset manifest); references to them count as present
+ * @returns {Function} - (reference, { absolute }) => { url, missing }. `missing` is the
+ *   build path a reference points at when no such file was written. `absolute` makes
+ *   site-relative references absolute URLs, for metadata read out of context.
+ */
+function createUrlResolver({ buildDir, basePath, baseUrl, renamed = {} }) {
+  const prefix = basePath === './' ? '' : basePath;
+
+  function exists(file) {
+    const target = path.join(buildDir, renamed[file] || file);
+    if (file === '' || file.endsWith('/')) return fs.existsSync(path.join(target, 'index.html'));
+    return fs.existsSync(target) && fs.statSync(target).isFile();
+  }
+
+  return (reference, { absolute = false } = {}) => {
+    const [, pathPart, suffix] = reference.trim().match(/^([^?#]*)(.*)$/);
+
+    if (EXTERNAL.test(reference.trim())) {
+      // Links to the site's own address must point at a page or file it has
+      const own = `${baseUrl}/`;
+      if (!reference.startsWith(own) && `${pathPart}/` !== own) return { url: reference };
+      const file = decodeURI(pathPart.slice(own.length));
+      return { url: reference, missing: exists(file) ? null : file || 'index.html' };
+    }
+    if (pathPart === '') return { url: reference };
+
+    // Root-relative references may already carry the base path
+    let relative = pathPart;
+    if (prefix && relative.startsWith(prefix)) relative = relative.slice(prefix.length);
+    relative = path.posix.normalize(outputPath(relative.replace(/^\/+/, '')));
+    if (relative === '.' || relative === './') relative = '';
+    if (relative.startsWith('..')) {
+      return { url: reference, missing: pathPart };
+    }
+
+    const file = decodeURI(relative);
+    if (!exists(file)) return { url: reference, missing: file || 'index.html' };
+
+    const url = absolute ? `${baseUrl}/${relative}` : prefix + relative || './';
+    return { url: url + suffix };
+  };
+}
+
+function unquote(value) {
+  const quote = value[0] === '"' || value[0] === '\'' ? value[0] : '';
+  return { quote, text: quote ? value.slice(1, -1) : value };
+}
+
+/**
+ * Resolve url() and @import references in a stylesheet
+ * @param {string} css - Stylesheet
+ * @param {Function} resolve - From createUrlResolver
+ * @param {Function} report - Called with (reference, missing, offset) for each missing file
+ * @returns {string}
+ */
+function resolveCSSUrls(css, resolve, report) {
+  return css.replace(CSS_URL, (match, open, urlValue, close, importKeyword, importValue, offset) => {
+    const { quote, text } = unquote(urlValue || importValue);
+    if (text.startsWith('data:')) return match;
+
+    const { url, missing } = resolve(text);
+    if (missing) report(text, missing, offset);
+    return open ? `${open}${quote}${url}${quote}${close}` : `${importKeyword}${quote}${url}${quote}`;
+  });
+}
+
+/**
+ * Resolve URLs in a page: src, href, srcset and poster attributes, URL-valued
+ * <meta> content, style attributes and <style> elements
+ * @param {string} html - Page HTML
+ * @param {Function} resolve - From createUrlResolver
+ * @param {Function} report - Called with (reference, missing, offset) for each missing file
+ * @returns {string}
+ */
+function resolveHTMLUrls(html, resolve, report) {
+  // `offset` is where the attribute list starts in the page
+  function resolveAttributes(attributes, offset) {
+    const meta = (attributes.match(/(?:^|\s)(?:property|name)\s*=\s*["']?([^"'\s>]+)/i) || [])[1];
+
+    return attributes.replace(ATTRIBUTE, (match, space, rawName, equals, rawValue, at) => {
+      const name = rawName.toLowerCase();
+      const { quote, text } = unquote(rawValue);
+      const check = (reference, options) => {
+        const { url, missing } = resolve(reference.replace(/&amp;/g, '&'), options);
+        if (missing) report(reference, missing, offset + at + space.length);
+        return missing ? reference : url.replace(/&(?!\w+;|#)/g, '&amp;');
+      };
+
+      let value = text;
+      if (URL_ATTRIBUTES.includes(name)) {
+        value = check(text);
+      } else if (name === 'srcset') {
+        value = text.replace(SRCSET_CANDIDATE, (candidate, before, url, descriptors = '', comma) => {
+          return `${before}${check(url)}${descriptors}${comma}`;
+        });
+      } else if (name === 'content' && meta && URL_META.has(meta.toLowerCase())) {
+        value = check(text, { absolute: true });
+      } else if (name === 'style') {
+        value = resolveCSSUrls(text, resolve, (reference, missing) => report(reference, missing, offset + at + space.length));
+      }
+      return `${space}${rawName}${equals}${quote}${value}${quote}`;
+    });
+  }
+
+  return html.replace(MARKUP, (match, rawTag, rawAttributes, content, tag, attributes, offset) => {
+    if (match.startsWith('<!--')) return match;
+    if (tag) return `<${tag}${resolveAttributes(attributes, offset + 1 + tag.length)}>`;
+
+    // Scripts keep their content; stylesheets have their url()s resolved
+    const openTag = `<${rawTag}${rawAttributes}>`;
+    const closeTag = match.slice(openTag.length + content.length);
+    const body = rawTag.toLowerCase() === 'style'
+      ? resolveCSSUrls(content, resolve, (reference, missing, at) => report(reference, missing, offset + openTag.length + at))
+      : content;
+    return `<${rawTag}${resolveAttributes(rawAttributes, offset + 1 + rawTag.length)}>${body}${closeTag}`;
+  });
+}
+
+/**
+ * Resolve the URLs in built pages and stylesheets
+ * @param {Object[]} files - [{ file, source, type: 'html'|'css' }]
+ * @param {Function} resolve - From createUrlResolver
+ * @returns {Object} - { outputs: [{ file, source }], missing: [{ file, line, column, reference, target }] }
+ */
+function resolveUrls(files, resolve) {
+  const missing = [];
+
+  const outputs = files.map(({ file, source, type }) => {
+    const locate = createLocator(source);
+    const report = (reference, target, offset) => {
+      missing.push(Object.assign({ file, reference, target }, locate(offset)));
+    };
+    const resolved = type === 'css' ? resolveCSSUrls(source, resolve, report) : resolveHTMLUrls(source, resolve, report);
+    return { file, source: resolved };
+  });
+
+  return { outputs, missing };
+}
+
+module.exports = {
+  basePathOf,
+  createUrlResolver,
+  outputPath,
+  resolveCSSUrls,
+  resolveHTMLUrls,
+  resolveUrls
+};
@@ -0,0 +1,546 @@
+// Self-hosted copies of third-party fonts, icons and libraries.
+//
+// vendor/manifest.json lists the external stylesheets and scripts the layouts
+// reference. `node build.js --vendor` downloads them into vendor/ and records
+// what it fetched, with Subresource Integrity hashes, in vendor/lock.json;
+// both are committed so ordinary builds need no network. At build time page
+// references to a vendored URL point at the local copy instead, Google Fonts
+// stylesheets are replaced by @font-face rules in styles.css, and icon
+// stylesheets are pruned to the icons the pages use (the font files of the
+// icon styles in use are copied whole). Anything left on a CDN gets an
+// integrity attribute from the lock.
+//
+// A library's `source` says where to download it from when that is not its
+// URL: "npm:<package>@<version>/<file>" reads the file out of the package's
+// tarball on the npm registry. For Google Fonts stylesheets `source` maps
+// each family to a Fontsource package ("npm:@fontsource/inter@5.3.0").
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const LOCK_FILE = 'lock.json';
+
+// Google Fonts serves woff2 only to browsers it recognises
+const FONT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// Where the font files of Google Fonts stylesheets are served from
+const GOOGLE_FONT_FILES_ORIGIN = 'https://fonts.gstatic.com';
+
+// Tags with the indentation and line break around them
+const SCRIPT_TAG = /([ \t]*)(<script\b[^>]*\bsrc="https?:\/\/[^"]+"[^>]*><\/script>)(\n?)/gi;
+const LINK_TAG = /([ \t]*)(<link\b[^>]*>)(\n?)/gi;
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+const ICON_CLASS = /\bfa-[a-z0-9]+(?:-[a-z0-9]+)*\b/g;
+
+const NPM_REGISTRY = 'https://registry.npmjs.org';
+// npm:<package>@<version>/<file>, the package possibly scoped
+const NPM_SOURCE = /^npm:((?:@[^/@]+\/)?[^/@]+)@([^/]+)(?:\/(.*))?$/;
+
+function readJSON(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse ${file}: ${error.message}`);
+  }
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`, 'i'));
+  return match ? match[1] : null;
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Load the vendor manifest and lock
+ * @param {string} vendorDir - Path to the vendor directory
+ * @returns {Object} - { dir, libraries: [{ name, url, type, external }], lock }
+ */
+function loadVendor(vendorDir) {
+  const manifest = readJSON(path.join(vendorDir, MANIFEST_FILE), { libraries: [] });
+  const libraries = (manifest.libraries || []).map(library => {
+    if (!library.name || !library.url) {
+      throw new Error(`${path.join(vendorDir, MANIFEST_FILE)}: every library needs a "name" and a "url"`);
+    }
+    // The browser checks an external file's hash against what its URL serves
+    if (library.external && library.source) {
+      throw new Error(`${path.join(vendorDir, MANIFEST_FILE)}: "${library.name}" is external, so it is hashed from its url and cannot have a "source"`);
+    }
+    return {
+      name: library.name,
+      url: library.url,
+      // "script", "stylesheet", "fonts" (a Google Fonts stylesheet) or "icons" (an icon font stylesheet)
+      type: library.type || (library.url.endsWith('.js') ? 'script' : 'stylesheet'),
+      // Keep loading it from the CDN, with an integrity hash
+      external: library.external === true,
+      subsets: library.subsets || ['latin'],
+      source: library.source || null
+    };
+  });
+
+  return { dir: vendorDir, libraries, lock: readJSON(path.join(vendorDir, LOCK_FILE), {}) };
+}
+
+// A vendored library's files are all in place
+function isVendored(vendor, library) {
+  const entry = vendor.lock[library.url];
+  // Entries locked while the library was external have only a hash
+  if (!entry || library.external || !(entry.file || entry.fonts)) return false;
+
+  const files = entry.fonts ? entry.fonts.map(font => font.file) : [entry.file].concat(entry.files || []);
+  return files.every(file => fs.existsSync(path.join(vendor.dir, file)));
+}
+
+function integrityOf(buffer) {
+  return `sha384-${crypto.createHash('sha384').update(buffer).digest('base64')}`;
+}
+
+async function download(url, headers = {}) {
+  let response;
+  try {
+    response = await fetch(url, { headers });
+  } catch (error) {
+    throw new Error(`Failed to download ${url}: ${error.cause ? error.cause.message : error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Files of an npm package tarball, by their path inside the package
+function readTarball(buffer) {
+  const files = new Map();
+  const tar = zlib.gunzipSync(buffer);
+
+  for (let offset = 0; offset + 512 <= tar.length;) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const name = [field(345, 155), field(0, 100)].filter(Boolean).join('/');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1);
+    if (type === '0' || type === '') {
+      files.set(name.replace(/^[^/]+\//, ''), tar.subarray(offset + 512, offset + 512 + size));
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+// Download a URL or read an npm: source, fetching each tarball once
+async function fetchSource(location, tarballs, headers = {}) {
+  const npm = location.match(NPM_SOURCE);
+  if (!npm) return download(location, headers);
+
+  const [, name, version, file] = npm;
+  const key = `${name}@${version}`;
+  if (!tarballs.has(key)) {
+    const tarball = `${NPM_REGISTRY}/${name}/-/${name.split('/').pop()}-${version}.tgz`;
+    tarballs.set(key, readTarball(await download(tarball)));
+  }
+  const contents = tarballs.get(key).get(file || '');
+  if (!contents) {
+    throw new Error(`${key} has no file "${file}"`);
+  }
+  return contents;
+}
+
+// A url() inside a downloaded stylesheet, relative to where it came from
+function resolveSource(reference, base) {
+  const npm = base.match(NPM_SOURCE);
+  if (!npm) return new URL(reference, base).href;
+
+  const file = path.posix.normalize(path.posix.join(path.posix.dirname(npm[3] || ''), reference.replace(/[?#].*$/, '')));
+  return `npm:${npm[1]}@${npm[2]}/${file}`;
+}
+
+function writeVendorFile(vendorDir, file, contents) {
+  const target = path.join(vendorDir, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, contents);
+}
+
+// Download a stylesheet and the fonts and images it points at. The files it
+// uses sit next to it, and its url()s are rewritten to match.
+async function vendorStylesheet(library, source, vendorDir, tarballs) {
+  const css = source.toString('utf8');
+  const location = library.source || library.url;
+  const files = [];
+  const replacements = new Map();
+
+  for (const [, , reference] of css.matchAll(CSS_URL)) {
+    if (reference.startsWith('data:') || replacements.has(reference)) continue;
+    const url = resolveSource(reference, location);
+    const file = `${library.name}/${path.posix.basename(url.replace(/[?#].*$/, ''))}`;
+    writeVendorFile(vendorDir, file, await fetchSource(url, tarballs));
+    replacements.set(reference, path.posix.basename(file));
+    files.push(file);
+  }
+
+  const local = css.replace(CSS_URL, (match, quote, reference) => {
+    return replacements.has(reference) ? `url(${replacements.get(reference)})` : match;
+  });
+  const file = `${library.name}/${path.posix.basename(location.replace(/[?#].*$/, ''))}`;
+  writeVendorFile(vendorDir, file, local);
+
+  return { file, files };
+}
+
+// @font-face rules of a stylesheet, each with the comment before it
+function fontFacesIn(css) {
+  const blocks = /\/\*\s*([\w-]+)\s*\*\/\s*@font-face\s*\{([^}]*)\}/g;
+
+  return Array.from(css.matchAll(blocks), ([, comment, body]) => {
+    const property = name => {
+      const match = body.match(new RegExp(`${name}\\s*:\\s*([^;]+);`));
+      return match ? match[1].trim() : null;
+    };
+    return {
+      comment,
+      family: property('font-family').replace(/^['"]|['"]$/g, ''),
+      style: property('font-style') || 'normal',
+      weight: property('font-weight') || '400',
+      unicodeRange: property('unicode-range'),
+      src: property('src').match(/url\(\s*['"]?([^'")]+)/)[1]
+    };
+  });
+}
+
+// Families, weights and styles a Google Fonts css2 URL asks for
+function googleFontFamilies(url) {
+  return new URL(url).searchParams.getAll('family').map(spec => {
+    const [family, axes = ''] = spec.split(':');
+    const [names, values = ''] = axes.split('@');
+    const keys = names ? names.split(',') : [];
+    const variants = values ? values.split(';').map(tuple => {
+      const settings = Object.fromEntries(tuple.split(',').map((value, index) => [keys[index], value]));
+      return { weight: settings.wght || '400', style: settings.ital === '1' ? 'italic' : 'normal' };
+    }) : [{ weight: '400', style: 'normal' }];
+    return { family, variants };
+  });
+}
+
+// Keep the fonts of the wanted subsets, with their files downloaded
+async function downloadFonts(library, faces, vendorDir, tarballs) {
+  const fonts = [];
+  for (const { subset, family, style, weight, unicodeRange, src } of faces) {
+    if (!library.subsets.includes(subset)) continue;
+    const file = `fonts/${slug(family)}-${weight}-${style}-${subset}.woff2`;
+    writeVendorFile(vendorDir, file, await fetchSource(src, tarballs));
+    fonts.push({ family, style, weight, unicodeRange, file });
+  }
+
+  if (fonts.length === 0) {
+    throw new Error(`${library.url} has no @font-face rules for the ${library.subsets.join(', ')} subsets`);
+  }
+  return { fonts };
+}
+
+// Download the font files of a Google Fonts stylesheet, keeping the
+// @font-face details needed to write the rules again locally. Google marks
+// each rule with its subset: /* latin */
+async function vendorFonts(library, source, vendorDir, tarballs) {
+  const faces = fontFacesIn(source.toString('utf8')).map(face => Object.assign(face, { subset: face.comment }));
+  return downloadFonts(library, faces, vendorDir, tarballs);
+}
+
+// The same fonts from Fontsource packages, whose per-weight stylesheets
+// (400.css, 400-italic.css) mark each rule /* inter-latin-400-normal */
+async function vendorFontPackages(library, vendorDir, tarballs) {
+  const faces = [];
+
+  for (const { family, variants } of googleFontFamilies(library.url)) {
+    const source = library.source[family];
+    if (!source) {
+      throw new Error(`vendor/manifest.json: "${library.name}" has no source for the ${family} family`);
+    }
+    for (const { weight, style } of variants) {
+      const stylesheet = `${source}/${weight}${style === 'italic' ? '-italic' : ''}.css`;
+      const css = (await fetchSource(stylesheet, tarballs)).toString('utf8');
+      fontFacesIn(css).forEach(face => {
+        const subset = face.comment.slice(slug(family).length + 1, -`-${weight}-${style}`.length);
+        faces.push(Object.assign(face, { subset, src: resolveSource(face.src, stylesheet) }));
+      });
+    }
+  }
+
+  return downloadFonts(library, faces, vendorDir, tarballs);
+}
+
+/**
+ * Download every library in the manifest and write vendor/lock.json
+ * @param {Object} vendor - From loadVendor
+ * @param {Object} log - Console-like logger
+ * @returns {Promise<Object>} - The new lock
+ */
+async function fetchVendor(vendor, log = console) {
+  const lock = {};
+  const tarballs = new Map();
+
+  for (const library of vendor.libraries) {
+    const fontPackages = library.type === 'fonts' && library.source !== null && typeof library.source === 'object';
+    const location = fontPackages ? library.url : library.source || library.url;
+    log.log(`  ${library.name}: ${fontPackages ? Object.values(library.source).join(', ') : location}`);
+
+    // Fontsource packages stand in for the Google Fonts stylesheet itself
+    if (fontPackages) {
+      if (library.external) {
+        throw new Error(`vendor/manifest.json: "${library.name}" cannot be external and vendored from packages`);
+      }
+      lock[library.url] = Object.assign({ name: library.name }, await vendorFontPackages(library, vendor.dir, tarballs));
+      continue;
+    }
+
+    const headers = library.type === 'fonts' ? { 'User-Agent': FONT_USER_AGENT } : {};
+    const source = await fetchSource(location, tarballs, headers);
+    const entry = { name: library.name, integrity: integrityOf(source) };
+
+    if (!library.external) {
+      if (library.type === 'fonts') {
+        Object.assign(entry, await vendorFonts(library, source, vendor.dir, tarballs));
+      } else if (library.type === 'script') {
+        entry.file = `${library.name}/${path.posix.basename(location.replace(/[?#].*$/, ''))}`;
+        writeVendorFile(vendor.dir, entry.file, source);
+      } else {
+        Object.assign(entry, await vendorStylesheet(library, source, vendor.dir, tarballs));
+      }
+    }
+
+    lock[library.url] = entry;
+  }
+
+  fs.writeFileSync(path.join(vendor.dir, LOCK_FILE), JSON.stringify(lock, null, 2) + '\n');
+  vendor.lock = lock;
+  return lock;
+}
+
+/**
+ * Point a page's external stylesheets and scripts at their vendored copies.
+ * Google Fonts links are dropped (their rules come from fontFaceRules), and
+ * so are preconnect hints to origins the page no longer uses.
+ * @param {string} html - Page HTML
+ * @param {Object} vendor - From loadVendor
+ * @param {string} baseUrl - Where the build's vendor/ directory is served, e.g. "build/vendor"
+ * @returns {Object} - { html, unresolved: [url] } where unresolved references have no local copy or integrity hash
+ */
+function resolveVendored(html, vendor, baseUrl) {
+  const byUrl = new Map(vendor.libraries.map(library => [library.url, library]));
+  const unresolved = [];
+  const vendoredOrigins = new Set();
+
+  // Local copy, or the external reference with its integrity hash
+  const resolve = (tag, attribute, url) => {
+    const library = byUrl.get(url);
+    if (library && isVendored(vendor, library)) {
+      vendoredOrigins.add(new URL(url).origin);
+      if (library.type === 'fonts') {
+        vendoredOrigins.add(GOOGLE_FONT_FILES_ORIGIN);
+        return '';
+      }
+      const file = library.type === 'icons' ? prunedIconFile(vendor.lock[url]) : vendor.lock[url].file;
+      return tag.replace(`${attribute}="${url}"`, `${attribute}="${baseUrl}/${file}"`);
+    }
+
+    const entry = vendor.lock[url];
+    if (!entry || !entry.integrity || (library && library.type === 'fonts')) {
+      unresolved.push(url);
+      return tag;
+    }
+    if (/\sintegrity=/i.test(tag)) return tag;
+    const crossorigin = /\scrossorigin\b/i.test(tag) ? '' : ' crossorigin="anonymous"';
+    return tag.replace(new RegExp(`\\s${attribute}="`), ` integrity="${entry.integrity}"${crossorigin}$&`);
+  };
+
+  // Removed tags take their line with them
+  const onOwnLine = replace => (match, indent, tag, newline) => {
+    const result = replace(tag);
+    return result === '' ? '' : `${indent}${result}${newline}`;
+  };
+
+  let output = html
+    .replace(SCRIPT_TAG, onOwnLine(tag => resolve(tag, 'src', readAttribute(tag, 'src'))))
+    .replace(LINK_TAG, onOwnLine(tag => {
+      const href = readAttribute(tag, 'href');
+      const rel = (readAttribute(tag, 'rel') || '').toLowerCase();
+      return rel === 'stylesheet' && /^https?:\/\//.test(href || '') ? resolve(tag, 'href', href) : tag;
+    }));
+
+  // Preconnect hints to origins only the vendored files came from
+  output = output.replace(LINK_TAG, onOwnLine(tag => {
+    const rel = (readAttribute(tag, 'rel') || '').toLowerCase();
+    const origin = readAttribute(tag, 'href');
+    if (rel !== 'preconnect' || !vendoredOrigins.has(origin)) return tag;
+    return output.split(origin).length > 2 ? tag : '';
+  }));
+
+  return { html: output, unresolved };
+}
+
+/**
+ * @font-face rules for every vendored Google Fonts stylesheet
+ * @param {Object} vendor - From loadVendor
+ * @param {string} baseUrl - URL of the build's vendor/ directory relative to styles.css
+ * @returns {string} - CSS, empty when nothing is vendored
+ */
+function fontFaceRules(vendor, baseUrl) {
+  return vendor.libraries
+    .filter(library => library.type === 'fonts' && isVendored(vendor, library))
+    .map(library => vendor.lock[library.url].fonts.map(font => [
+      '@font-face {',
+      `  font-family: '${font.family}';`,
+      `  font-style: ${font.style};`,
+      `  font-weight: ${font.weight};`,
+      '  font-display: swap;',
+      `  src: url('${baseUrl}/${font.file}') format('woff2');`,
+      font.unicodeRange ? `  unicode-range: ${font.unicodeRange};` : null,
+      '}'
+    ].filter(line => line !== null).join('\n')).join('\n'))
+    .join('\n');
+}
+
+// Where the pruned copy of an icon stylesheet goes
+function prunedIconFile(entry) {
+  return entry.file.replace(/(\.min)?\.css$/, '.pruned.css');
+}
+
+// Split a stylesheet into its top-level rules and at-rules
+function topLevelRules(css) {
+  const rules = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+    if (char === '"' || char === '\'') {
+      const end = css.indexOf(char, i + 1);
+      i = end === -1 ? css.length : end;
+    } else if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 1;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === ';' && depth === 0) {
+      rules.push(css.slice(start, i + 1));
+      start = i + 1;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        rules.push(css.slice(start, i + 1));
+        start = i + 1;
+      }
+    }
+  }
+
+  return rules.map(rule => rule.trim()).filter(Boolean);
+}
+
+/**
+ * Prune an icon font stylesheet to the icons in use. Rules that only set an
+ * icon's glyph (`.fa-user:before{content:"\f007"}`) are kept for the classes
+ * in `used`, and @font-face rules only for the styles in use (fas, far, fab
+ * or fa-solid, fa-regular, fa-brands). Everything else is kept. The font
+ * files themselves are not subset: each style in use keeps all its glyphs.
+ * @param {string} css - Icon stylesheet
+ * @param {Set<string>} used - Class names found in the pages
+ * @returns {Object} - { css, icons (kept), total (icons in the stylesheet), files (font files still referenced) }
+ */
+function pruneIconCSS(css, used) {
+  const iconRule = /^((?:\.fa-[\w-]+::?before\s*,\s*)*\.fa-[\w-]+::?before)\s*\{\s*content\s*:[^;}]+;?\s*\}$/;
+  const styleAliases = { solid: 'fas', regular: 'far', brands: 'fab' };
+  const files = new Set();
+  let icons = 0;
+  let total = 0;
+
+  const rules = topLevelRules(css).map(rule => {
+    const icon = rule.match(iconRule);
+    if (icon) {
+      total++;
+      const selectors = icon[1].split(',').map(selector => selector.trim())
+        .filter(selector => used.has(selector.slice(1).replace(/::?before$/, '')));
+      if (selectors.length === 0) return null;
+      icons++;
+      return `${selectors.join(',')}${rule.slice(icon[1].length)}`;
+    }
+
+    if (/^@font-face\b/i.test(rule)) {
+      // Font files are named after their style: fa-solid-900.woff2
+      const references = Array.from(rule.matchAll(CSS_URL), match => match[2]);
+      const style = (references.map(reference => path.posix.basename(reference).match(/^fa-(solid|regular|brands)-/))
+        .find(Boolean) || [])[1];
+      if (!style || !(used.has(`fa-${style}`) || used.has(styleAliases[style]))) return null;
+      references.forEach(reference => files.add(reference));
+    }
+    return rule;
+  }).filter(Boolean);
+
+  return { css: rules.join('\n') + '\n', icons, total, files: Array.from(files) };
+}
+
+/**
+ * Class names like fa-user, fas and fa-solid used in the given sources
+ * @param {string[]} sources - Page HTML and component scripts
+ * @returns {Set<string>}
+ */
+function findIconClasses(sources) {
+  const used = new Set();
+  sources.forEach(source => {
+    (source.match(ICON_CLASS) || []).forEach(name => used.add(name));
+    (source.match(/\bfa[srb]\b/g) || []).forEach(name => used.add(name));
+  });
+  return used;
+}
+
+/**
+ * Copy the vendored files into the build, with icon stylesheets pruned to
+ * the icons in use and only the font files of the icon styles in use
+ * @param {Object} vendor - From loadVendor
+ * @param {string} buildVendorDir - Target directory
+ * @param {Set<string>} iconClasses - From findIconClasses
+ * @returns {Object[]} - [{ name, icons, total, files }] for each icon stylesheet
+ */
+function copyVendored(vendor, buildVendorDir, iconClasses) {
+  const copy = file => {
+    const target = path.join(buildVendorDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(vendor.dir, file), target);
+  };
+  const pruned = [];
+
+  vendor.libraries.filter(library => isVendored(vendor, library)).forEach(library => {
+    const entry = vendor.lock[library.url];
+
+    if (library.type === 'fonts') {
+      entry.fonts.forEach(font => copy(font.file));
+    } else if (library.type === 'icons') {
+      const css = fs.readFileSync(path.join(vendor.dir, entry.file), 'utf8');
+      const result = pruneIconCSS(css, iconClasses);
+      const target = path.join(buildVendorDir, prunedIconFile(entry));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, result.css);
+      result.files.forEach(file => copy(path.posix.join(path.posix.dirname(entry.file), file)));
+      pruned.push({ name: library.name, icons: result.icons, total: result.total, files: result.files });
+    } else {
+      [entry.file].concat(entry.files || []).forEach(copy);
+    }
+  });
+
+  return pruned;
+}
+
+module.exports = {
+  copyVendored,
+  fetchVendor,
+  findIconClasses,
+  fontFaceRules,
+  loadVendor,
+  resolveVendored,
+  pruneIconCSS
+};
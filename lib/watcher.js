@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Collect every directory below (and including) `dir`
+function listDirectories(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .reduce((dirs, dirent) => dirs.concat(listDirectories(path.join(dir, dirent.name))), [dir]);
+}
+
+/**
+ * Watch files and directories, batching changes into a single callback.
+ * Directories are watched one by one (recursive fs.watch is not available
+ * on every platform) and new subdirectories are picked up as they appear.
+ * @param {string[]} targets - Files and directories to watch
+ * @param {Function} onChange - Called with an array of changed file paths
+ * @param {number} delay - Debounce delay in ms
+ * @returns {Function} - Stops watching
+ */
+function watch(targets, onChange, delay = 100) {
+  const watchers = new Map();
+  let pending = new Set();
+  let timer = null;
+
+  function flush() {
+    const changed = Array.from(pending);
+    pending = new Set();
+    timer = null;
+    onChange(changed);
+  }
+
+  function record(file) {
+    pending.add(path.normalize(file));
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  }
+
+  function watchPath(target, isDirectory) {
+    if (watchers.has(target)) return;
+
+    const watcher = fs.watch(target, (eventType, fileName) => {
+      const file = isDirectory && fileName ? path.join(target, fileName.toString()) : target;
+
+      // Start watching directories created after startup
+      if (isDirectory && fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        listDirectories(file).forEach(dir => watchPath(dir, true));
+        return;
+      }
+
+      record(file);
+    });
+
+    watcher.on('error', () => {
+      // The path was removed; stop watching it
+      watcher.close();
+      watchers.delete(target);
+    });
+
+    watchers.set(target, watcher);
+  }
+
+  targets.forEach(target => {
+    if (!fs.existsSync(target)) return;
+
+    if (fs.statSync(target).isDirectory()) {
+      listDirectories(target).forEach(dir => watchPath(dir, true));
+    } else {
+      watchPath(target, false);
+    }
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+    watchers.clear();
+  };
+}
+
+module.exports = { watch };
@@ -0,0 +1,253 @@
+// Minimal YAML reader for content files. It covers the subset our content
+// uses: nested mappings and sequences, quoted and plain scalars, numbers,
+// booleans, null, flow sequences ([a, "b, c", [d]]) and block scalars (| and >).
+// Anchors, tags and multi-document streams are not supported.
+
+class YAMLError extends Error {
+  constructor(message, file, line) {
+    super(`${message} (${file}:${line})`);
+    this.name = 'YAMLError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]}][^:#]*?)\s*:(?:\s+(.*))?$/;
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote && text[i - 1] !== '\\') quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function parse(source, file = '<yaml>') {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => ({
+    raw,
+    number: index + 1,
+    indent: raw.length - raw.trimStart().length,
+    text: stripComment(raw.trim())
+  }));
+  let pos = 0;
+
+  const fail = (message, line) => {
+    throw new YAMLError(message, file, line ? line.number : lines.length);
+  };
+
+  // Skip blank and comment-only lines and return the next meaningful one
+  function peek() {
+    while (pos < lines.length && lines[pos].text === '') pos++;
+    return lines[pos];
+  }
+
+  function isSequenceItem(line) {
+    return line.text === '-' || line.text.startsWith('- ');
+  }
+
+  function parseScalar(text, line) {
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+    if (text.startsWith('"')) {
+      if (!/"$/.test(text) || text.length < 2) fail('Unterminated double-quoted string', line);
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        fail(`Invalid double-quoted string: ${error.message}`, line);
+      }
+    }
+    if (text.startsWith('\'')) {
+      if (!text.endsWith('\'') || text.length < 2) fail('Unterminated single-quoted string', line);
+      return text.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (text.startsWith('[')) {
+      if (!text.endsWith(']')) fail('Unterminated flow sequence', line);
+      const inner = text.slice(1, -1).trim();
+      return inner === '' ? [] : splitFlowItems(inner, line).map(item => parseScalar(item, line));
+    }
+    if (text === '{}') return {};
+    if (text.startsWith('{')) fail('Flow mappings are not supported', line);
+
+    return text;
+  }
+
+  // Split the inside of a flow sequence at the commas that are not inside
+  // quotes or nested brackets
+  function splitFlowItems(inner, line) {
+    const items = [];
+    let quote = null;
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < inner.length; i++) {
+      const char = inner[i];
+      if (quote) {
+        if (char === '\\' && quote === '"') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        if (--depth < 0) fail('Unexpected "]" in flow sequence', line);
+      } else if (char === ',' && depth === 0) {
+        items.push(inner.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    if (quote) fail('Unterminated quoted string in flow sequence', line);
+    if (depth > 0) fail('Unterminated flow sequence', line);
+
+    // A trailing comma does not add an item
+    const last = inner.slice(start).trim();
+    if (last !== '' || items.length === 0) items.push(last);
+    return items;
+  }
+
+  // Read a | or > block scalar whose lines are indented deeper than `parentIndent`
+  function parseBlockScalar(indicator, parentIndent) {
+    const collected = [];
+    let blockIndent = null;
+
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.raw.trim() === '') {
+        collected.push('');
+        pos++;
+        continue;
+      }
+      if (line.indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = line.indent;
+      collected.push(line.raw.slice(Math.min(blockIndent, line.indent)));
+      pos++;
+    }
+
+    let body;
+    if (indicator[0] === '|') {
+      body = collected.join('\n');
+    } else {
+      // Folded: single newlines become spaces, blank lines become newlines
+      body = collected.reduce((text, part) => {
+        if (part === '') return text + '\n';
+        return text === '' || text.endsWith('\n') ? text + part : `${text} ${part}`;
+      }, '');
+    }
+
+    const content = body.replace(/\n+$/, '');
+    if (indicator.endsWith('-')) return content;
+    if (indicator.endsWith('+')) return body;
+    return content === '' ? '' : `${content}\n`;
+  }
+
+  // Parse a value written after "key:" or "- "
+  function parseInlineValue(text, line, parentIndent) {
+    if (/^[|>][+-]?$/.test(text)) {
+      pos++;
+      return parseBlockScalar(text, parentIndent);
+    }
+
+    pos++;
+    let value = text;
+
+    // Plain scalars may continue on more-indented lines
+    const isPlain = !/^["'[{]/.test(text);
+    while (isPlain && peek() && lines[pos].indent > parentIndent &&
+           !isSequenceItem(lines[pos]) && !KEY_PATTERN.test(lines[pos].text)) {
+      value += ` ${lines[pos].text}`;
+      pos++;
+    }
+
+    return parseScalar(value, line);
+  }
+
+  function parseNode(indent) {
+    const line = peek();
+    if (!line || line.indent < indent) return null;
+    return isSequenceItem(line) ? parseSequence(line.indent) : parseMapping(line.indent);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+
+    while (peek() && lines[pos].indent === indent && isSequenceItem(lines[pos])) {
+      const line = lines[pos];
+      const rest = line.text.slice(1).trimStart();
+
+      if (rest === '') {
+        pos++;
+        const next = peek();
+        items.push(next && next.indent > indent ? parseNode(next.indent) : null);
+      } else if (KEY_PATTERN.test(rest) || rest.startsWith('- ')) {
+        // "- key: value" starts a mapping (or nested sequence) aligned with the text after the dash
+        const offset = line.raw.indexOf(rest, line.indent + 1);
+        lines[pos] = Object.assign({}, line, { indent: offset, text: rest });
+        items.push(parseNode(offset));
+      } else {
+        items.push(parseInlineValue(rest, line, indent));
+      }
+    }
+
+    const next = peek();
+    if (next && next.indent > indent) fail('Unexpected indentation', next);
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+
+    while (peek() && lines[pos].indent === indent && !isSequenceItem(lines[pos])) {
+      const line = lines[pos];
+      const match = line.text.match(KEY_PATTERN);
+      if (!match) fail(`Expected "key: value" but found "${line.text}"`, line);
+
+      const key = String(parseScalar(match[1], line));
+      if (Object.prototype.hasOwnProperty.call(map, key)) fail(`Duplicate key "${key}"`, line);
+
+      const valueText = match[2] || '';
+      if (valueText !== '') {
+        map[key] = parseInlineValue(valueText, line, indent);
+        continue;
+      }
+
+      pos++;
+      const next = peek();
+      if (next && next.indent > indent) {
+        map[key] = parseNode(next.indent);
+      } else if (next && next.indent === indent && isSequenceItem(next)) {
+        // Sequences may sit at the same indentation as their key
+        map[key] = parseSequence(indent);
+      } else {
+        map[key] = null;
+      }
+    }
+
+    const next = peek();
+    if (next && next.indent > indent) fail('Unexpected indentation', next);
+    return map;
+  }
+
+  const first = peek();
+  if (!first) return null;
+  if (first.indent !== 0) fail('Document must start at column 0', first);
+
+  const result = isSequenceItem(first) || KEY_PATTERN.test(first.text)
+    ? parseNode(0)
+    : parseInlineValue(first.text, first, -1);
+
+  const trailing = peek();
+  if (trailing) fail(`Unexpected content "${trailing.text}"`, trailing);
+
+  return result;
+}
+
+module.exports = { parse, YAMLError };
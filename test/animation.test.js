@@ -0,0 +1,228 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Animation } from '../core/scripts/utils.js';
+
+// jsdom has no Web Animations API: a stand-in animation that finishes only
+// when asked to, like a browser that never reports an unchanged property
+function stubAnimate(element, { finishes = false } = {}) {
+  const animation = { onfinish: null, cancel: vi.fn() };
+  element.animate = vi.fn(() => {
+    if (finishes) setTimeout(() => animation.onfinish && animation.onfinish(), 0);
+    return animation;
+  });
+  return animation;
+}
+
+function createElement() {
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  return element;
+}
+
+describe('Animation', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    window.matchMedia = vi.fn(() => ({ matches: false }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('when nothing changes', () => {
+    it('settles transition() once the timeout passes', async () => {
+      const element = createElement();
+      element.style.opacity = '1';
+      stubAnimate(element);
+
+      const done = vi.fn();
+      Animation.transition(element, { opacity: '1' }, 200).then(done);
+      await vi.advanceTimersByTimeAsync(200);
+      expect(done).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(100);
+      expect(done).toHaveBeenCalledWith(true);
+      expect(element.style.opacity).toBe('1');
+    });
+
+    it('hides the element after fadeOut()', async () => {
+      const element = createElement();
+      element.style.opacity = '0';
+      stubAnimate(element);
+
+      const fading = Animation.fadeOut(element, 300);
+      await vi.advanceTimersByTimeAsync(400);
+
+      await expect(fading).resolves.toBe(true);
+      expect(element.style.display).toBe('none');
+      expect(element.style.opacity).toBe('');
+    });
+
+    it('hides the element after slideUp()', async () => {
+      const element = createElement();
+      stubAnimate(element);
+
+      const sliding = Animation.slideUp(element, 300);
+      await vi.advanceTimersByTimeAsync(400);
+
+      await expect(sliding).resolves.toBe(true);
+      expect(element.style.display).toBe('none');
+      expect(element.style.height).toBe('');
+      expect(element.style.overflow).toBe('');
+    });
+  });
+
+  describe('timeout', () => {
+    it('counts the delay and the duration', async () => {
+      const element = createElement();
+      const animation = stubAnimate(element);
+
+      const done = vi.fn();
+      Animation.animate(element, [{ opacity: 1 }, { opacity: 0 }], { duration: 300, delay: 200 }).then(done);
+      await vi.advanceTimersByTimeAsync(599);
+      expect(done).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(done).toHaveBeenCalledWith(true);
+      expect(element.style.opacity).toBe('0');
+      expect(animation.cancel).toHaveBeenCalled();
+    });
+
+    it('is not needed when the animation finishes', async () => {
+      const element = createElement();
+      stubAnimate(element, { finishes: true });
+
+      const done = vi.fn();
+      Animation.animate(element, [{ opacity: 1 }, { opacity: 0 }], 1000).then(done);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(done).toHaveBeenCalledWith(true);
+      expect(vi.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('resolves false when the signal is aborted mid-flight', async () => {
+      const element = createElement();
+      const animation = stubAnimate(element);
+      const controller = new AbortController();
+
+      const fading = Animation.fadeOut(element, { duration: 300, signal: controller.signal });
+      await vi.advanceTimersByTimeAsync(100);
+      controller.abort();
+
+      await expect(fading).resolves.toBe(false);
+      expect(animation.cancel).toHaveBeenCalled();
+      expect(element.style.display).not.toBe('none');
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('does not start when the signal is already aborted', async () => {
+      const element = createElement();
+      stubAnimate(element);
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(Animation.fadeIn(element, { signal: controller.signal })).resolves.toBe(false);
+      expect(element.animate).not.toHaveBeenCalled();
+    });
+
+    it('cancels the previous animation on the same element', async () => {
+      const element = createElement();
+      stubAnimate(element);
+
+      const first = Animation.fadeOut(element, 300);
+      const second = Animation.fadeIn(element, 300);
+      await vi.advanceTimersByTimeAsync(400);
+
+      await expect(first).resolves.toBe(false);
+      await expect(second).resolves.toBe(true);
+      expect(element.style.display).toBe('block');
+    });
+  });
+
+  describe('reduced motion', () => {
+    it('jumps to the end state without animating', async () => {
+      window.matchMedia = vi.fn(query => ({ matches: query === '(prefers-reduced-motion: reduce)' }));
+      const element = createElement();
+      stubAnimate(element);
+
+      await expect(Animation.fadeOut(element, 300)).resolves.toBe(true);
+      expect(element.animate).not.toHaveBeenCalled();
+      expect(element.style.display).toBe('none');
+      expect(vi.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('sequence', () => {
+    it('runs the steps one after another', async () => {
+      const order = [];
+      const step = (name, ms) => () => new Promise(resolve => {
+        order.push(`start ${name}`);
+        setTimeout(() => {
+          order.push(`end ${name}`);
+          resolve(true);
+        }, ms);
+      });
+
+      const running = Animation.sequence([step('a', 300), step('b', 100), step('c', 200)]);
+      await vi.advanceTimersByTimeAsync(600);
+
+      await expect(running).resolves.toBe(true);
+      expect(order).toEqual(['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+    });
+
+    it('stops at a cancelled step', async () => {
+      const last = vi.fn(() => Promise.resolve(true));
+      const result = await Animation.sequence([() => Promise.resolve(true), () => Promise.resolve(false), last]);
+
+      expect(result).toBe(false);
+      expect(last).not.toHaveBeenCalled();
+    });
+
+    it('stops when the signal is aborted between steps', async () => {
+      const controller = new AbortController();
+      const last = vi.fn(() => Promise.resolve(true));
+      const first = () => {
+        controller.abort();
+        return Promise.resolve(true);
+      };
+
+      await expect(Animation.sequence([first, last], { signal: controller.signal })).resolves.toBe(false);
+      expect(last).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stagger', () => {
+    it('starts each element one interval after the previous one', async () => {
+      const elements = [createElement(), createElement(), createElement()];
+      elements.forEach(element => stubAnimate(element));
+      const started = [];
+
+      const running = Animation.stagger(elements, (element, delay, index) => {
+        started.push([index, delay]);
+        return Animation.fadeIn(element, { duration: 100, delay });
+      }, 80);
+      await vi.advanceTimersByTimeAsync(500);
+
+      await expect(running).resolves.toBe(true);
+      expect(started).toEqual([[0, 0], [1, 80], [2, 160]]);
+      expect(elements.map(element => element.animate.mock.calls[0][1].delay)).toEqual([0, 80, 160]);
+    });
+
+    it('resolves false when any animation is cancelled', async () => {
+      const elements = [createElement(), createElement()];
+      elements.forEach(element => stubAnimate(element));
+      const controller = new AbortController();
+
+      const running = Animation.stagger(elements, (element, delay, index) => {
+        return Animation.fadeIn(element, { duration: 100, delay, signal: index === 1 ? controller.signal : null });
+      }, 50);
+      controller.abort();
+      await vi.advanceTimersByTimeAsync(300);
+
+      await expect(running).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { bundleModules, BundleError } = require('../lib/bundler.js');
+
+let root;
+
+function write(files) {
+  Object.entries(files).forEach(([name, code]) => fs.writeFileSync(path.join(root, name), code));
+}
+
+function bundle() {
+  return bundleModules({ entry: path.join(root, 'main.js'), components: [], root });
+}
+
+// Assemble the bundle the way build.js does and run it
+function run() {
+  const code = bundle()
+    .map(module => [module.header, ...module.lines.map(line => line.text), module.footer].join('\n'))
+    .join('\n');
+  const log = [];
+  new Function('log', `'use strict';\nconst __modules = {};\n${code}`)(log);
+  return log;
+}
+
+describe('bundleModules', () => {
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('runs modules imported only for their side effects, before the importer', () => {
+    write({
+      'polyfill.js': 'log.push(\'polyfill\');\n',
+      'main.js': 'import \'./polyfill.js\';\nimport "./polyfill"\nlog.push(\'main\');\n'
+    });
+
+    expect(run()).toEqual(['polyfill', 'main']);
+  });
+
+  it('exports every name of a multi-declarator export', () => {
+    write({
+      'values.js': 'export const a = 1, b = [2, 3].length, c = \'x, y\';\n',
+      'main.js': 'import { b, c } from \'./values.js\';\nlog.push(b, c);\n'
+    });
+
+    expect(run()).toEqual([2, 'x, y']);
+  });
+
+  it('keeps a declaration used only through its later declarators', () => {
+    write({
+      'main.js': 'const unused = 1, used = { value: 2 };\nlog.push(used.value);\n'
+    });
+
+    expect(run()).toEqual([2]);
+  });
+
+  it('rejects exported destructuring', () => {
+    write({
+      'main.js': 'const source = {};\nexport const a = 1, { b } = source;\n'
+    });
+
+    expect(bundle).toThrow(BundleError);
+    expect(bundle).toThrow(/^Cannot export a destructuring declaration \(.*main\.js:2\)$/);
+  });
+});
@@ -0,0 +1,48 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { checkCustomProperties, scopeCSS } = require('../lib/css.js');
+
+const scope = css => scopeCSS(css, '#timeline', ['timeline']);
+
+describe('scopeCSS', () => {
+  it.each([
+    [':root .card {}', '#timeline .card {}'],
+    ['html > .card {}', '#timeline > .card {}'],
+    ['body {}', '#timeline {}']
+  ])('replaces a bare global element: %s', (css, expected) => {
+    expect(scope(css)).toBe(expected);
+  });
+
+  it.each([
+    [':root[data-theme="dark"] .card {}', ':root[data-theme="dark"] #timeline .card {}'],
+    ['body.menu-open .card {}', 'body.menu-open #timeline .card {}'],
+    ['html:not([data-theme="high contrast"]) .card {}', 'html:not([data-theme="high contrast"]) #timeline .card {}'],
+    ['body.menu-open {}', 'body.menu-open #timeline {}']
+  ])('keeps a qualified global element and scopes inside it: %s', (css, expected) => {
+    expect(scope(css)).toBe(expected);
+  });
+
+  it('joins the root element\'s own classes to the scope', () => {
+    expect(scope('.timeline .card, .card {}')).toBe('#timeline.timeline .card, #timeline .card {}');
+  });
+});
+
+describe('checkCustomProperties', () => {
+  const tokens = { file: 'variables.css', css: ':root { --color-white: #fff; --color-accent: #f60; --spacing-4: 1rem; }' };
+  const stylesheets = [{ file: 'hero.css', css: '.hero { padding: var(--spacing-4); }', component: 'Hero' }];
+
+  it('counts tokens named in data attributes as used', () => {
+    const markup = ['<div class="hero-particles" data-particle-colors="--color-white --color-accent"></div>'];
+
+    expect(checkCustomProperties(tokens, stylesheets).unusedTokens).toEqual(['--color-white', '--color-accent']);
+    expect(checkCustomProperties(tokens, stylesheets, markup).unusedTokens).toEqual([]);
+  });
+
+  it('ignores tokens mentioned outside data attributes', () => {
+    const markup = ['<p title="--color-white">Use --color-accent for links</p>'];
+
+    expect(checkCustomProperties(tokens, stylesheets, markup).unusedTokens).toEqual(['--color-white', '--color-accent']);
+  });
+});
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { fingerprintFiles, rewriteBundleUrls } = require('../lib/fingerprint.js');
+
+let buildDir;
+
+const write = (name, content) => fs.writeFileSync(path.join(buildDir, name), content);
+const read = name => fs.readFileSync(path.join(buildDir, name), 'utf8');
+
+// What fingerprintAssets does after a (re)build
+function fingerprint(previous, prefix = '/') {
+  const manifest = fingerprintFiles(buildDir, ['styles.css', 'scripts.js'], previous);
+  write('index.html', rewriteBundleUrls(read('index.html'), manifest, previous, prefix));
+  return manifest;
+}
+
+describe('fingerprinting', () => {
+  beforeEach(() => {
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  });
+
+  it('moves pages on to the new stylesheet after a CSS-only rebuild', () => {
+    write('index.html', '<link href="/styles.css" rel="stylesheet"><script src="/scripts.js"></script>');
+    write('styles.css', 'a{color:red}');
+    write('scripts.js', 'init();');
+    const first = fingerprint({});
+
+    // The watcher rebuilds styles.css only; the pages are left as they were
+    write('styles.css', 'a{color:blue}');
+    const second = fingerprint(first);
+
+    expect(second['styles.css']).not.toBe(first['styles.css']);
+    expect(second['scripts.js']).toBe(first['scripts.js']);
+    expect(read('index.html')).toBe(`<link href="/${second['styles.css']}" rel="stylesheet"><script src="/${first['scripts.js']}"></script>`);
+    expect(fs.existsSync(path.join(buildDir, first['styles.css']))).toBe(false);
+    expect(fs.existsSync(path.join(buildDir, second['styles.css']))).toBe(true);
+  });
+
+  it('only rewrites the exact bundle URLs under the base path', () => {
+    const html = '<script src="/repo/vendor/x/scripts.js"></script><script src="/repo/scripts.js?v=1"></script>';
+    const manifest = { 'scripts.js': 'scripts.0123abcd.js' };
+
+    expect(rewriteBundleUrls(html, manifest, {}, '/repo/'))
+      .toBe('<script src="/repo/vendor/x/scripts.js"></script><script src="/repo/scripts.0123abcd.js?v=1"></script>');
+  });
+});
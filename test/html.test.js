@@ -0,0 +1,67 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { parseHTML } = require('../lib/html.js');
+const { auditPage } = require('../lib/audit.js');
+
+const messages = html => auditPage(html).map(issue => issue.message);
+
+describe('parseHTML', () => {
+  describe('optional end tags', () => {
+    it.each([
+      ['list items', '<ul><li>a<li>b</ul>'],
+      ['paragraphs', '<div><p>one<p>two</div>'],
+      ['definitions', '<dl><dt>a<dd>b<dt>c<dd>d</dl>'],
+      ['table cells and rows', '<table><tr><td>a<td>b<tr><th>c<td>d</table>'],
+      ['options', '<select><option>a<option>b</select>'],
+      ['a paragraph before a list', '<p>intro<ul><li>x</ul>'],
+      ['the end of the document', '<ul><li>a<li>b</ul><p>one<p>two']
+    ])('are implied for %s', (name, html) => {
+      expect(messages(html)).toEqual([]);
+    });
+
+    it('ends an item with the next one, not inside it', () => {
+      const { document } = parseHTML('<ul><li>a<li>b</ul>');
+      const items = document.children[0].children;
+
+      expect(items.map(item => item.tag)).toEqual(['li', 'li']);
+      expect(items.map(item => item.children[0].text)).toEqual(['a', 'b']);
+    });
+
+    it('keeps nested lists apart', () => {
+      const { document } = parseHTML('<ul><li>a<ul><li>b</ul><li>c</ul>');
+      const outer = document.children[0];
+
+      expect(outer.children.map(item => item.tag)).toEqual(['li', 'li']);
+      expect(outer.children[0].children[1].tag).toBe('ul');
+    });
+  });
+
+  describe('character references', () => {
+    const textOf = html => parseHTML(html).document.children[0].children[0].text;
+
+    it('decodes named, decimal and hex references', () => {
+      expect(textOf('<p>&amp; &#169; &#x2014;</p>')).toBe('& © —');
+    });
+
+    it.each(['&#99999999;', '&#x110000;', '&#xD800;', '&#0;'])('replaces %s with U+FFFD', reference => {
+      expect(textOf(`<p>${reference}</p>`)).toBe('\uFFFD');
+    });
+
+    it('does not stop the audit', () => {
+      expect(messages('<p>&#99999999;</p><img src="x.png">')).toHaveLength(1);
+    });
+  });
+
+  it('reports a block inside a paragraph at its end tag', () => {
+    expect(messages('<p>a<div>b</div></p>')).toEqual([
+      '<div> (line 1) cannot be inside <p> (line 1); browsers end the <p> before it, so this </p> has no matching <p>'
+    ]);
+  });
+
+  it('still reports elements that need an end tag', () => {
+    expect(messages('<div><span>x</div>')).toEqual(['<span> (line 1) is not closed before </div>']);
+    expect(messages('<main><div>x</main>')).toEqual(['<div> (line 1) is not closed before </main>']);
+  });
+});
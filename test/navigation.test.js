@@ -0,0 +1,31 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Navigation } from '../core/scripts/navigation.js';
+
+describe('Navigation', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  it('drops a pending spy-zone measurement on teardown', () => {
+    vi.useFakeTimers();
+    const observers = [];
+    vi.stubGlobal('IntersectionObserver', class {
+      constructor() { observers.push(this); }
+      observe() {}
+      disconnect() {}
+    });
+    document.body.innerHTML = '<nav><a href="#about">About</a></nav><section id="about"></section>';
+    const stop = Navigation.init({ links: document.querySelectorAll('nav a'), header: null });
+    expect(observers).toHaveLength(1);
+
+    window.dispatchEvent(new Event('resize'));
+    vi.advanceTimersToNextFrame();
+    stop();
+    vi.runAllTimers();
+
+    expect(observers).toHaveLength(1);
+  });
+});
@@ -0,0 +1,102 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DRAFT_KEY, initNominationForm } from '../components/NominationForm/nominationform.js';
+import { createMailtoAdapter } from '../components/NominationForm/submission.js';
+
+// The parts of nominationform.html the script uses, with one field per step
+const FORM = `
+<form id="nomination-form">
+    <fieldset class="form-step"><input name="nomineeName" required></fieldset>
+    <fieldset class="form-step" hidden><input name="productName" required></fieldset>
+    <p class="form-status" role="status"></p>
+    <button type="button" data-action="back" hidden>Back</button>
+    <button type="button" data-action="next">Next</button>
+    <button type="button" data-action="confirm-sent" hidden>I've sent the email</button>
+    <button type="submit" data-action="submit" hidden>Submit</button>
+</form>
+<div id="nomination-success" tabindex="-1" hidden><p data-success-message>Received.</p></div>`;
+
+const form = () => document.getElementById('nomination-form');
+const status = () => document.querySelector('.form-status').textContent;
+
+function fillIn(name, value) {
+  form().elements[name].value = value;
+}
+
+function blockedStorage() {
+  const fail = () => { throw new DOMException('The operation is insecure.', 'SecurityError'); };
+  return { getItem: fail, setItem: fail, removeItem: fail };
+}
+
+describe('initNominationForm', () => {
+  beforeEach(() => {
+    document.body.innerHTML = FORM;
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  describe('with storage blocked', () => {
+    it('starts when reading window.localStorage throws', () => {
+      vi.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+        throw new DOMException('The operation is insecure.', 'SecurityError');
+      });
+
+      expect(() => initNominationForm()).not.toThrow();
+      fillIn('nomineeName', 'Ada');
+      document.querySelector('[data-action="next"]').click();
+
+      expect(form().elements.productName.closest('fieldset').hidden).toBe(false);
+      expect(status()).toBe('');
+    });
+
+    it('starts when every storage call throws', () => {
+      expect(() => initNominationForm({ storage: blockedStorage() })).not.toThrow();
+      expect(document.querySelector('[data-action="next"]').hidden).toBe(false);
+    });
+  });
+
+  it('drops a draft it cannot read and still starts', () => {
+    window.localStorage.setItem(DRAFT_KEY, '{not json');
+    initNominationForm();
+
+    expect(window.localStorage.getItem(DRAFT_KEY)).toBeNull();
+  });
+
+  describe('with the mailto: adapter', () => {
+    async function submitByEmail() {
+      const openUrl = vi.fn();
+      initNominationForm({ adapter: createMailtoAdapter('nominations@example.com', openUrl) });
+      fillIn('nomineeName', 'Ada');
+      document.querySelector('[data-action="next"]').click();
+      fillIn('productName', 'Vault');
+      form().dispatchEvent(new Event('change', { bubbles: true }));
+      form().requestSubmit();
+      await vi.waitFor(() => expect(openUrl).toHaveBeenCalled());
+      return openUrl;
+    }
+
+    it('keeps the values and the draft once the email app opens', async () => {
+      const openUrl = await submitByEmail();
+
+      expect(openUrl.mock.calls[0][0]).toMatch(/^mailto:nominations@example\.com\?subject=Nomination%3A%20Vault/);
+      expect(form().hidden).toBe(false);
+      expect(form().elements.productName.value).toBe('Vault');
+      expect(JSON.parse(window.localStorage.getItem(DRAFT_KEY)).values.productName).toBe('Vault');
+      expect(document.querySelector('[data-action="confirm-sent"]').hidden).toBe(false);
+    });
+
+    it('clears them once the visitor confirms the email was sent', async () => {
+      await submitByEmail();
+      document.querySelector('[data-action="confirm-sent"]').click();
+
+      expect(form().hidden).toBe(true);
+      expect(form().elements.productName.value).toBe('');
+      expect(window.localStorage.getItem(DRAFT_KEY)).toBeNull();
+      expect(document.getElementById('nomination-success').hidden).toBe(false);
+    });
+  });
+});
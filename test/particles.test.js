@@ -0,0 +1,82 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createParticleField } from '../components/Hero/particles.js';
+
+// A 2D context that records where each particle was drawn
+function stubContext() {
+  const context = {
+    positions: [],
+    clearRect: () => { context.positions = []; context.colors = []; },
+    setTransform: () => {},
+    beginPath: () => {},
+    fill: () => {},
+    arc: (x, y) => context.positions.push([x, y]),
+    colors: [],
+    set fillStyle(color) { context.colors.push(color); }
+  };
+  return context;
+}
+
+function createContainer(width, height) {
+  const container = document.createElement('div');
+  container.resize = (newWidth, newHeight) => {
+    Object.defineProperty(container, 'clientWidth', { value: newWidth, configurable: true });
+    Object.defineProperty(container, 'clientHeight', { value: newHeight, configurable: true });
+  };
+  container.resize(width, height);
+  document.body.appendChild(container);
+  return container;
+}
+
+describe('createParticleField', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('returns null without a 2D context and leaves the container alone', () => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    const container = createContainer(400, 200);
+
+    expect(createParticleField(container)).toBeNull();
+    expect(container.children).toHaveLength(0);
+  });
+
+  it('keeps the particles and rescales their positions on resize', () => {
+    const context = stubContext();
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    // Small enough that both sizes get the minimum particle count
+    const container = createContainer(200, 100);
+    const field = createParticleField(container, { count: 40, colors: ['#fff'], drift: { x: 0, y: 0 } });
+    const before = context.positions;
+    expect(before.length).toBeGreaterThan(0);
+
+    container.resize(400, 50);
+    field.resize();
+
+    expect(context.positions).toEqual(before.map(([x, y]) => [x * 2, y / 2]));
+    field.destroy();
+  });
+
+  it('reads the colour tokens again when the theme changes', async () => {
+    const context = stubContext();
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    const tokens = { light: '#ffffff', dark: '#111111' };
+    vi.spyOn(window, 'getComputedStyle').mockImplementation(() => ({
+      getPropertyValue: () => tokens[document.documentElement.getAttribute('data-theme') || 'light']
+    }));
+    // Reduced motion draws still frames, so no animation frame is needed
+    vi.spyOn(window, 'matchMedia').mockReturnValue({ matches: true, addEventListener: () => {}, removeEventListener: () => {} });
+    const container = createContainer(200, 100);
+    const field = createParticleField(container, { count: 40, colors: ['--color-white'] });
+    const positions = context.positions;
+    expect(new Set(context.colors)).toEqual(new Set(['#ffffff']));
+
+    document.documentElement.setAttribute('data-theme', 'dark');
+    await vi.waitFor(() => expect(new Set(context.colors)).toEqual(new Set(['#111111'])));
+    expect(context.positions).toEqual(positions);
+
+    field.destroy();
+    document.documentElement.removeAttribute('data-theme');
+  });
+});
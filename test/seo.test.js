@@ -0,0 +1,32 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { eventJsonLd, missingEventProperties } = require('../lib/seo.js');
+
+const site = { name: 'Awards', url: 'https://example.com' };
+const timeline = { items: [{ id: 'ceremony', date: '2027-03-10T18:00:00-05:00' }] };
+
+describe('missingEventProperties', () => {
+  it('reports an event without a location or attendance mode', () => {
+    const data = eventJsonLd({ site, seo: { event: { startDate: 'ceremony' } }, timeline });
+
+    expect(missingEventProperties(data)).toEqual(['location', 'eventAttendanceMode']);
+  });
+
+  it('accepts a place with an address and asks a virtual location for its URL', () => {
+    const place = {
+      startDate: 'ceremony',
+      attendanceMode: 'OfflineEventAttendanceMode',
+      location: { '@type': 'Place', name: 'Hall', address: '1 Main St' }
+    };
+    const online = {
+      startDate: 'ceremony',
+      attendanceMode: 'OnlineEventAttendanceMode',
+      location: { '@type': 'VirtualLocation' }
+    };
+
+    expect(missingEventProperties(eventJsonLd({ site, seo: { event: place }, timeline }))).toEqual([]);
+    expect(missingEventProperties(eventJsonLd({ site, seo: { event: online }, timeline }))).toEqual(['location.url']);
+  });
+});
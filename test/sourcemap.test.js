@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { bundleModules } = require('../lib/bundler.js');
+const { minifyJS } = require('../lib/minify.js');
+const { createConcatenation, decodeMappings, remapMinified } = require('../lib/sourcemap.js');
+
+let root;
+
+// Bundle main.js the way build.js does
+function bundle(files) {
+  Object.entries(files).forEach(([name, code]) => fs.writeFileSync(path.join(root, name), code));
+  const concatenation = createConcatenation(path.join(root, 'scripts.js'));
+  concatenation.addGenerated('(function() {\nconst __modules = {};\n');
+  bundleModules({ entry: path.join(root, 'main.js'), components: [], root }).forEach(module => {
+    concatenation.addGenerated(`${module.header}\n`);
+    concatenation.addLines(module.lines, module.file, module.source);
+    concatenation.addGenerated(`${module.footer}\n`);
+  });
+  concatenation.addGenerated('})();\n');
+  return { code: concatenation.code(), map: concatenation.map() };
+}
+
+// The source position ("file:line:column", 1-based line) a piece of generated code maps to
+function originalPosition({ code, map }, text) {
+  const offset = code.indexOf(text);
+  const before = code.slice(0, offset).split('\n');
+  const line = before.length - 1;
+  const column = before[line].length;
+
+  const segment = decodeMappings(map.mappings)[line].filter(([generated]) => generated <= column).pop();
+  if (!segment) return null;
+  return `${map.sources[segment[1]]}:${segment[2] + 1}:${segment[3] + column - segment[0]}`;
+}
+
+const FILES = {
+  'utils.js': 'export const a = 1;\nexport const b = 2;\n',
+  'main.js': '// Entry\nimport { a,\n  b as two } from \'./utils.js\';\nconsole.log(a, two);\n'
+};
+
+describe('import bindings in source maps', () => {
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'sourcemap-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('map each binding to its import specifier', () => {
+    const output = bundle(FILES);
+
+    expect(originalPosition(output, 'const a = __modules')).toBe('main.js:2:9');
+    expect(originalPosition(output, 'const two = __modules')).toBe('main.js:3:2');
+  });
+
+  it('keep those positions after minification', () => {
+    const output = bundle(FILES);
+    const trace = [];
+    const code = minifyJS(output.code, trace);
+    const minified = { code, map: remapMinified(output.map, output.code, code, trace) };
+
+    expect(originalPosition(minified, 'const a = __modules')).toBe('main.js:2:9');
+    expect(originalPosition(minified, 'const two = __modules')).toBe('main.js:3:2');
+    expect(originalPosition(minified, 'console.log')).toBe('main.js:4:0');
+  });
+});
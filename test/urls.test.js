@@ -0,0 +1,36 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { createUrlResolver } = require('../lib/urls.js');
+
+let buildDir;
+
+describe('createUrlResolver', () => {
+  beforeEach(() => {
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'urls-'));
+    fs.writeFileSync(path.join(buildDir, 'styles.0123abcd.css'), '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  });
+
+  const options = { basePath: '/', baseUrl: 'https://example.com' };
+
+  it('reports a bundle that only exists under its hashed name', () => {
+    const resolve = createUrlResolver(Object.assign({ buildDir }, options));
+
+    expect(resolve('styles.css')).toEqual({ url: 'styles.css', missing: 'styles.css' });
+  });
+
+  it('accepts it when the asset manifest names the hashed file', () => {
+    const renamed = { 'styles.css': 'styles.0123abcd.css' };
+    const resolve = createUrlResolver(Object.assign({ buildDir, renamed }, options));
+
+    expect(resolve('styles.css')).toEqual({ url: '/styles.css' });
+  });
+});
@@ -0,0 +1,30 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { parse } = require('../lib/yaml.js');
+
+describe('parse', () => {
+  describe('flow sequences', () => {
+    it.each([
+      ['plain items', 'tags: [a, b, c]', ['a', 'b', 'c']],
+      ['an empty sequence', 'tags: []', []],
+      ['commas inside quotes', 'tags: [ "a, b", c ]', ['a, b', 'c']],
+      ['single-quoted commas and quotes', 'tags: [\'it\'\'s, here\', x]', ['it\'s, here', 'x']],
+      ['escaped quotes', 'tags: ["say \\"hi, there\\"", x]', ['say "hi, there"', 'x']],
+      ['nested sequences', 'tags: [a, [b, c], d]', ['a', ['b', 'c'], 'd']],
+      ['scalars', 'tags: [1, true, null]', [1, true, null]],
+      ['a trailing comma', 'tags: [a, b,]', ['a', 'b']]
+    ])('reads %s', (name, source, expected) => {
+      expect(parse(source).tags).toEqual(expected);
+    });
+
+    it.each([
+      ['an unterminated quote', 'tags: ["a, b]'],
+      ['an unterminated nested sequence', 'tags: [a, [b]'],
+      ['a stray closing bracket', 'tags: [a], b]']
+    ])('rejects %s', (name, source) => {
+      expect(() => parse(source, 'content/x.yaml')).toThrow(/content\/x\.yaml:1/);
+    });
+  });
+});